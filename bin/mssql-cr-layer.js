@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const {parseArgs} = require('util')
+const MssqlCrLayer = require('../src')
+const parseConnectionString = require('../src/connection-string')
+
+const usage = `Usage: mssql-cr-layer <command> [options]
+
+Commands:
+  ping                      Check the connection
+  query <sql>               Run a query, with --param for each $1, $2... or ?
+  exec-script <file>        Run a script with GO separators, - for stdin
+  describe <table>          Show the columns of a table
+  migrate <directory>       Apply the pending migrations, or up to --to
+
+Connection options, overriding the url, that overrides the environment:
+  --url <url>               Connection URL or ADO connection string (MSSQL_URL)
+  -S, --server <host>       Server (MSSQL_HOST)
+  --port <port>             Port (MSSQL_PORT)
+  -d, --database <name>     Database (MSSQL_DATABASE)
+  -U, --user <user>         User (MSSQL_USER)
+  -P, --password <password> Password (MSSQL_PASSWORD)
+  --encrypt                 Encrypt the connection
+  --trust-server-certificate
+
+Other options:
+  -p, --param <value>       A query parameter, can be repeated
+  -f, --format <format>     table, json or csv, default table
+  --transaction             Run the script in a transaction
+  --to <version>            Target version of migrate
+  --timeout <ms>            Timeout of each command
+  -h, --help                Show this help
+`
+
+const options = {
+  url: {type: 'string'},
+  server: {type: 'string', short: 'S'},
+  port: {type: 'string'},
+  database: {type: 'string', short: 'd'},
+  user: {type: 'string', short: 'U'},
+  password: {type: 'string', short: 'P'},
+  encrypt: {type: 'boolean'},
+  'trust-server-certificate': {type: 'boolean'},
+  param: {type: 'string', short: 'p', multiple: true},
+  format: {type: 'string', short: 'f', default: 'table'},
+  transaction: {type: 'boolean'},
+  to: {type: 'string'},
+  timeout: {type: 'string'},
+  help: {type: 'boolean', short: 'h'}
+}
+
+function main(argv) {
+  const {values, positionals} = parseArgs({
+    args: argv,
+    options,
+    allowPositionals: true
+  })
+  const [command, argument] = positionals
+  if (values.help || !command) {
+    process.stdout.write(usage)
+    return Promise.resolve(values.help ? 0 : 1)
+  }
+  const run = commands[command]
+  if (!run) {
+    throw new Error(`Unknown command ${command}, see --help`)
+  }
+  if (command !== 'ping' && !argument) {
+    throw new Error(`Missing the argument of ${command}, see --help`)
+  }
+  if (['table', 'json', 'csv'].indexOf(values.format) === -1) {
+    throw new Error(`Unknown format ${values.format}, use table, json or csv`)
+  }
+  const commandOptions =
+    values.timeout !== void 0
+      ? {timeout: toInteger('--timeout', values.timeout)}
+      : {}
+  const layer = new MssqlCrLayer(toConfig(values, process.env))
+  return run(layer, argument, values, commandOptions).then(
+      function() {
+        return layer.close().then(() => 0)
+      },
+      function(err) {
+        return layer.close().then(function() {
+          throw err
+        })
+      }
+  )
+}
+
+const commands = {
+  ping(layer, argument, values, options) {
+    const start = Date.now()
+    return layer
+        .query(
+            'SELECT @@SERVERNAME AS server, DB_NAME() AS [database], ' +
+            '@@VERSION AS version',
+            null,
+            options
+        )
+        .then(function([row]) {
+          write(
+              `Connected to ${row.server}, database ${row.database}, ` +
+              `in ${Date.now() - start}ms\n${row.version}\n`
+          )
+        })
+  },
+  query(layer, sql, values, options) {
+    return layer
+        .query(sql, values.param || null, options)
+        .then(rows => write(format(rows, values.format)))
+  },
+  'exec-script'(layer, file, values, options) {
+    const script = fs.readFileSync(file === '-' ? 0 : file, 'utf8')
+    return layer
+        .runScript(script, {...options, transaction: values.transaction})
+        .then(function(results) {
+          results
+              .filter(rows => rows.length)
+              .forEach(rows => write(format(rows, values.format)))
+          write(`${results.length} batches executed\n`)
+        })
+  },
+  describe(layer, table, values, options) {
+    return layer.describeTable(table, options).then(function(description) {
+      const rows = description.columns.map(column => ({
+        name: column.name,
+        type: sqlType(column),
+        nullable: column.nullable,
+        default: column.default,
+        identity: column.identity,
+        primaryKey: column.primaryKey
+      }))
+      write(format(rows, values.format))
+    })
+  },
+  migrate(layer, directory, values) {
+    return layer
+        .migrate(directory, values.to !== void 0 ? {to: values.to} : {})
+        .then(function({applied, reverted}) {
+          reverted.forEach(({version, name}) =>
+            write(`Reverted ${version} ${name}\n`)
+          )
+          applied.forEach(({version, name}) =>
+            write(`Applied ${version} ${name}\n`)
+          )
+          if (!applied.length && !reverted.length) {
+            write('Nothing to migrate\n')
+          }
+        })
+  }
+}
+
+/**
+ * The layer config from the flags, the url and the environment, in this
+ * order of precedence
+ */
+function toConfig(values, env) {
+  const url = values.url || env.MSSQL_URL
+  const fromEnv = compact({
+    host: env.MSSQL_HOST,
+    port: env.MSSQL_PORT && Number(env.MSSQL_PORT),
+    database: env.MSSQL_DATABASE,
+    user: env.MSSQL_USER,
+    password: env.MSSQL_PASSWORD
+  })
+  const fromUrl = url ? parseConnectionString(url) : {}
+  const fromFlags = compact({
+    host: values.server,
+    port: values.port && toInteger('--port', values.port),
+    database: values.database,
+    user: values.user,
+    password: values.password
+  })
+  return {
+    ...fromEnv,
+    ...fromUrl,
+    ...fromFlags,
+    options: {
+      ...fromUrl.options,
+      ...compact({
+        encrypt: values.encrypt,
+        trustServerCertificate: values['trust-server-certificate']
+      })
+    }
+  }
+}
+
+function toInteger(flag, value) {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(
+        `Invalid ${flag} ${value}, use a non negative integer, see --help`
+    )
+  }
+  return Number(value)
+}
+
+function compact(object) {
+  Object.keys(object).forEach(function(key) {
+    if (object[key] === void 0 || object[key] === '') {
+      delete object[key]
+    }
+  })
+  return object
+}
+
+function sqlType(column) {
+  if (/char|binary/.test(column.sqlType)) {
+    return `${column.sqlType}(${column.maxLength || 'max'})`
+  }
+  if (column.sqlType === 'decimal' || column.sqlType === 'numeric') {
+    return `${column.sqlType}(${column.maxLength}, ${column.decimals})`
+  }
+  return column.sqlType
+}
+
+function write(text) {
+  process.stdout.write(text)
+}
+
+function format(rows, as) {
+  if (as === 'json') {
+    return JSON.stringify(rows, null, 2) + '\n'
+  }
+  const columns = rows.length ? Object.keys(rows[0]) : []
+  if (columns.length === 0) {
+    return as === 'csv' ? '' : '(0 rows)\n'
+  }
+  if (as === 'csv') {
+    const quote = value =>
+      /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+    return (
+      [columns]
+          .concat(
+              rows.map(row =>
+                columns.map(column =>
+                  row[column] === null || row[column] === void 0
+                    ? ''
+                    : toText(row[column])
+                )
+              )
+          )
+          .map(line => line.map(quote).join(','))
+          .join('\n') + '\n'
+    )
+  }
+  const lines = rows.map(row => columns.map(column => toText(row[column])))
+  const widths = columns.map((column, index) =>
+    lines.reduce(
+        (width, line) => Math.max(width, line[index].length),
+        column.length
+    )
+  )
+  const pad = line =>
+    line
+        .map((text, index) => text.padEnd(widths[index]))
+        .join(' | ')
+        .trimEnd()
+  return (
+    [pad(columns), widths.map(width => '-'.repeat(width)).join('-+-')]
+        .concat(lines.map(pad))
+        .join('\n') + `\n(${rows.length} rows)\n`
+  )
+}
+
+function toText(value) {
+  if (value === null || value === void 0) {
+    return 'NULL'
+  }
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  if (Buffer.isBuffer(value)) {
+    return '0x' + value.toString('hex')
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+Promise.resolve(process.argv.slice(2))
+    .then(main)
+    .then(
+        function(code) {
+          process.exitCode = code
+        },
+        function(err) {
+          const where = err.batch
+            ? ` (batch ${err.batch}, line ${err.line})`
+            : ''
+          process.stderr.write(`Error${where}: ${err.message}\n`)
+          process.exitCode = 1
+        }
+    )
@@ -0,0 +1,254 @@
+const assert = require('assert')
+const wrapTable = require('./wrap-table')
+const {plainRows, rowTransform} = require('./rows')
+
+/**
+ * Helpers to insert, update and delete records without writing the SQL. The
+ * values can be plain or typed as in the query parameters
+ */
+
+/**
+ * Insert a record
+ * @param table {string} The name, optionally qualified by the schema
+ * @param record {object} The values keyed by column name
+ * @param options {object} Can contain the transaction connection and
+ * returning, ['*'] or the column names to be returned from OUTPUT INSERTED
+ * @returns {Promise} With the inserted row if returning, otherwise with the
+ * number of rows inserted
+ */
+exports.insert = function(table, record, options) {
+  const layer = this
+  return Promise.resolve()
+      .then(function() {
+        const columns = Object.keys(record)
+        assert(columns.length, 'There are no columns to insert')
+        const params = {}
+        const values = columns.map(function(column, index) {
+          params['v' + (index + 1)] = record[column]
+          return '@v' + (index + 1)
+        })
+        return run(
+            layer,
+            `INSERT INTO ${wrapTable(layer, table)} ` +
+            `(${columns.map(column => layer.wrap(column)).join(', ')})` +
+            output(layer, 'INSERTED', options) +
+            ` VALUES (${values.join(', ')})`,
+            params,
+            options
+        )
+      })
+      .then(result => (returning(options) ? result[0] : result))
+}
+
+/**
+ * Update the records matching where
+ * @param table {string} The name, optionally qualified by the schema
+ * @param changes {object} The new values keyed by column name
+ * @param where {object} The values to be matched keyed by column name, a
+ * null matches IS NULL and an array any of its elements
+ * @param options {object} Can contain the transaction connection and
+ * returning, ['*'] or the column names to be returned from OUTPUT INSERTED
+ * @returns {Promise} With the updated rows if returning, otherwise with the
+ * number of rows updated
+ */
+exports.update = function(table, changes, where, options) {
+  const layer = this
+  return Promise.resolve().then(function() {
+    const columns = Object.keys(changes)
+    assert(columns.length, 'There are no columns to update')
+    const params = {}
+    const set = columns.map(function(column, index) {
+      params['v' + (index + 1)] = changes[column]
+      return `${layer.wrap(column)} = @v${index + 1}`
+    })
+    return run(
+        layer,
+        `UPDATE ${wrapTable(layer, table)} SET ${set.join(', ')}` +
+        output(layer, 'INSERTED', options) +
+        toWhere(layer, where, params),
+        params,
+        options
+    )
+  })
+}
+
+/**
+ * Delete the records matching where
+ * @param table {string} The name, optionally qualified by the schema
+ * @param where {object} As in update
+ * @param options {object} Can contain the transaction connection and
+ * returning, ['*'] or the column names to be returned from OUTPUT DELETED
+ * @returns {Promise} With the deleted rows if returning, otherwise with the
+ * number of rows deleted
+ */
+exports.delete = function(table, where, options) {
+  const layer = this
+  return Promise.resolve().then(function() {
+    const params = {}
+    return run(
+        layer,
+        `DELETE FROM ${wrapTable(layer, table)}` +
+        output(layer, 'DELETED', options) +
+        toWhere(layer, where, params),
+        params,
+        options
+    )
+  })
+}
+
+/**
+ * Insert or update rows with a MERGE WITH (HOLDLOCK), safe against concurrent
+ * upserts of the same keys
+ * @param table {string} The name, optionally qualified by the schema
+ * @param rows {Array|object} The records to be upserted, keyed by column name
+ * @param options {object} With keys, the columns used to match the rows, and
+ * optionally update, the columns updated when matched, by default all but the
+ * keys, returning, ['*'] or the column names to be returned, tableType, the
+ * name of a table type with the columns, to send the rows as a table-valued
+ * parameter instead of in a VALUES list, with its columns, as in bulkInsert,
+ * and the transaction connection. A column missing in a row is taken as null
+ * @returns {Promise} With {inserted, updated}, each an array with the
+ * returning columns, or the keys, of the rows inserted or updated
+ */
+exports.upsert = function(table, rows, options) {
+  const layer = this
+  return Promise.resolve().then(function() {
+    rows = Array.isArray(rows) ? rows : [rows]
+    const keys = options && options.keys
+    assert(keys && keys.length, 'The keys to match the rows are required')
+    if (rows.length === 0) {
+      return {inserted: [], updated: []}
+    }
+    const columns = []
+    rows.forEach(function(row) {
+      Object.keys(row).forEach(function(column) {
+        if (columns.indexOf(column) === -1) {
+          columns.push(column)
+        }
+      })
+    })
+    const update =
+      options.update || columns.filter(column => keys.indexOf(column) === -1)
+    const params = {}
+    let source
+    if (options.tableType) {
+      params.rows = {
+        value: rows,
+        type: 'table',
+        tableType: options.tableType,
+        columns: options.columns || columns
+      }
+      source = '@rows AS source'
+    } else {
+      assert(
+          rows.length * columns.length < 2100,
+          'Too many parameters for a VALUES list, use a tableType'
+      )
+      source =
+        '(VALUES ' +
+        rows
+            .map(function(row, index) {
+              const values = columns.map(function(column, position) {
+                const name = `r${index}_${position}`
+                params[name] = row[column]
+                return '@' + name
+              })
+              return `(${values.join(', ')})`
+            })
+            .join(', ') +
+        `) AS source (${columns.map(column => layer.wrap(column)).join(', ')})`
+    }
+    const wrapped = column => layer.wrap(column)
+    const list = columns.map(wrapped).join(', ')
+    const returned = returning(options) || keys
+    const statement =
+      `MERGE INTO ${wrapTable(layer, table)} WITH (HOLDLOCK) AS target ` +
+      `USING ${source} ON ` +
+      keys
+          .map(key => `target.${wrapped(key)} = source.${wrapped(key)}`)
+          .join(' AND ') +
+      (update.length
+        ? ' WHEN MATCHED THEN UPDATE SET ' +
+          update
+              .map(column => `${wrapped(column)} = source.${wrapped(column)}`)
+              .join(', ')
+        : '') +
+      ` WHEN NOT MATCHED THEN INSERT (${list}) VALUES (` +
+      columns.map(column => 'source.' + wrapped(column)).join(', ') +
+      ') OUTPUT $action AS [$action], ' +
+      returned
+          .map(column =>
+            column === '*' ? 'INSERTED.*' : 'INSERTED.' + wrapped(column)
+          )
+          .join(', ') +
+      ';'
+    return layer
+        .query(statement, params, {...options, ...plainRows, raw: true})
+        .then(function({rows, columns}) {
+          // Transformed without the $action, the first column
+          const transform = rowTransform(layer, options)
+          const toRow = transform ? transform(columns.slice(1)) : row => row
+          const result = {inserted: [], updated: []}
+          rows.forEach(function(row) {
+            const action = row.$action
+            delete row.$action
+            result[action === 'INSERT' ? 'inserted' : 'updated'].push(
+                toRow(row)
+            )
+          })
+          return result
+        })
+  })
+}
+
+function run(layer, statement, params, options) {
+  return layer
+      .query(statement, params, {...options, raw: true})
+      .then(function({rows, rowsAffected}) {
+        return returning(options)
+          ? rows
+          : rowsAffected.reduce((sum, count) => sum + count, 0)
+      })
+}
+
+function returning(options) {
+  const columns = options && options.returning
+  return columns === true ? ['*'] : columns && columns.length && columns
+}
+
+function output(layer, prefix, options) {
+  const columns = returning(options)
+  return columns
+    ? ' OUTPUT ' +
+        columns
+            .map(column =>
+              column === '*'
+                ? `${prefix}.*`
+                : `${prefix}.${layer.wrap(column)}`
+            )
+            .join(', ')
+    : ''
+}
+
+function toWhere(layer, where, params) {
+  const columns = Object.keys(where || {})
+  assert(columns.length, 'The where should have at least one column')
+  return (
+    ' WHERE ' +
+    columns
+        .map(function(column, index) {
+          const value = where[column]
+          const name = 'w' + (index + 1)
+          if (value === null || value === void 0) {
+            return `${layer.wrap(column)} IS NULL`
+          }
+          params[name] = value
+          const isList =
+            Array.isArray(value) || (value && Array.isArray(value.value))
+          return isList
+            ? `${layer.wrap(column)} IN (@${name})`
+            : `${layer.wrap(column)} = @${name}`
+        })
+        .join(' AND ')
+  )
+}
@@ -0,0 +1,140 @@
+const mssql = require('mssql')
+
+/**
+ * The errors of the layer, with a stable code and the SQLSTATE used by
+ * PostgreSQL, so they can be handled the same way in the other layers
+ */
+class DatabaseError extends Error {
+  constructor(message, properties) {
+    super(message)
+    this.name = 'DatabaseError'
+    Object.assign(this, properties)
+  }
+}
+
+// SQL Server error numbers to code and SQLSTATE
+const numbers = {
+  2627: ['unique_violation', '23505'],
+  2601: ['unique_violation', '23505'],
+  547: ['foreign_key_violation', '23503'],
+  515: ['not_null_violation', '23502'],
+  1205: ['deadlock', '40P01'],
+  1222: ['lock_timeout', '55P03'],
+  3960: ['serialization_failure', '40001'],
+  8152: ['string_data_right_truncation', '22001'],
+  2628: ['string_data_right_truncation', '22001'],
+  8115: ['numeric_value_out_of_range', '22003'],
+  220: ['numeric_value_out_of_range', '22003'],
+  8134: ['division_by_zero', '22012'],
+  245: ['invalid_text_representation', '22P02'],
+  8114: ['invalid_text_representation', '22P02'],
+  241: ['invalid_datetime_format', '22007'],
+  242: ['datetime_field_overflow', '22008'],
+  102: ['syntax_error', '42601'],
+  105: ['syntax_error', '42601'],
+  156: ['syntax_error', '42601'],
+  170: ['syntax_error', '42601'],
+  207: ['undefined_column', '42703'],
+  208: ['undefined_table', '42P01'],
+  2812: ['undefined_function', '42883'],
+  137: ['undefined_parameter', '42P02'],
+  2714: ['duplicate_table', '42P07'],
+  229: ['insufficient_privilege', '42501'],
+  262: ['insufficient_privilege', '42501'],
+  300: ['insufficient_privilege', '42501'],
+  18456: ['invalid_password', '28P01'],
+  4060: ['invalid_catalog_name', '3D000']
+}
+
+// mssql and layer error codes to code and SQLSTATE
+const codes = {
+  ETIMEOUT: ['timeout', '57014'],
+  ABORT_ERR: ['query_canceled', '57014'],
+  ECANCEL: ['query_canceled', '57014'],
+  ESOCKET: ['connection_lost', '08006'],
+  ECONNRESET: ['connection_lost', '08006'],
+  ECONNCLOSED: ['connection_lost', '08003'],
+  ENOTOPEN: ['connection_does_not_exist', '08003'],
+  ELOGIN: ['invalid_authorization', '28000'],
+  EPARAM: ['invalid_parameter_value', '22023'],
+  EREQINPROG: ['active_sql_transaction', '25001'],
+  ENOTBEGUN: ['no_active_sql_transaction', '25P01'],
+  EABORT: ['in_failed_sql_transaction', '25P02']
+}
+
+/**
+ * Convert an error of mssql, or a cancellation of the layer, to a
+ * DatabaseError. Other errors, as the ones thrown by the functions given to
+ * transaction, are returned as they are, even when they are not objects
+ * @param err {Error}
+ * @param statement {string} The statement executed
+ * @param params {Array} The inputs of the statement, only the names are kept
+ * @returns {Error}
+ */
+function toDatabaseError(err, statement, params) {
+  if (!err || typeof err !== 'object') {
+    return err
+  }
+  const isCancel = err.name === 'TimeoutError' || err.name === 'AbortError'
+  if (!(err instanceof mssql.MSSQLError) && !isCancel) {
+    return err
+  }
+  // The meaningful error can come before the last one, as in a violation of
+  // a constraint followed by "The statement has been terminated"
+  const errors = (err.precedingErrors || []).concat(err)
+  const error = errors.find(error => numbers[error.number]) || err
+  let [code, sqlState] = classify(err, error)
+  if (error.number === 547 && /\bCHECK constraint\b/.test(error.message)) {
+    code = 'check_violation'
+    sqlState = '23514'
+  }
+  return new DatabaseError(error.message, {
+    code,
+    sqlState,
+    number: error.number,
+    constraint: find(
+        error.message,
+        /constraint ["']([^"']+)["']|unique index '([^']+)'/i
+    ),
+    table: toTable(
+        find(error.message, /(?:object|table)(?: name)? ["']([^"']+)["']/i)
+    ),
+    column: find(error.message, /column ["']([^"']+)["']/i),
+    lineNumber: error.lineNumber,
+    procedure: error.procName || void 0,
+    statement,
+    params: (params || []).map(param => param.name),
+    originalError: err
+  })
+}
+
+function classify(err, error) {
+  if (numbers[error.number]) {
+    return numbers[error.number]
+  }
+  if (err instanceof mssql.ConnectionError) {
+    return err.code === 'ELOGIN'
+      ? codes.ELOGIN
+      : ['connection_failure', '08001']
+  }
+  if (codes[err.code]) {
+    return codes[err.code]
+  }
+  // The user defined errors, as raised by THROW
+  return err.number >= 50000
+    ? ['raise_exception', 'P0001']
+    : ['unknown', 'XX000']
+}
+
+function find(message, regex) {
+  const match = regex.exec(message || '')
+  return match ? match.slice(1).find(Boolean) : void 0
+}
+
+function toTable(name) {
+  // Without the database of the three parts names
+  return name && name.split('.').slice(-2).join('.')
+}
+
+exports.DatabaseError = DatabaseError
+exports.toDatabaseError = toDatabaseError
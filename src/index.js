@@ -1,7 +1,16 @@
 const mssql = require('mssql')
+const {declare} = require('mssql/lib/datatypes')
 const assert = require('assert')
+const EventEmitter = require('events')
+const util = require('util')
 const every = require('lodash.every')
 const debug = require('debug')('layer:mssql')
+const tokenize = require('./tokenizer')
+const parseConnectionString = require('./connection-string')
+const splitScript = require('./script')
+const translate = require('./translate')
+const {configure, rowTransform, validateOptions} = require('./rows')
+const {DatabaseError, toDatabaseError} = require('./errors')
 
 const connectionParams = new WeakMap() // Hidden connection parameters
 
@@ -10,14 +19,31 @@ module.exports = MssqlCrLayer
 /**
  * SQL Server common requests interface layer
  *
- *  @param config {object}
+ *  @param config {object|string} A connection URL or ADO connection string,
+ * or an object, that can also contain a connectionString overridden by the
+ * other properties
  * user: <username>,
  * password: <password>,
  * host: <host>,
  * pool: {
  *   max: <max pool size>,
  *   idleTimeout: <idle timeout in milliseconds>
- * }
+ * },
+ * prepare: <false to send parameterized statements with sp_executesql in a
+ *   single round trip instead of prepare, execute and unprepare>,
+ * hooks: <listeners keyed by event name, as query:end, added with on>,
+ * requestTimeout: <default timeout of each command in milliseconds, until its
+ *   first row, 6000 if not set and 0 for none>,
+ * rowMode: <object, the default, or array to return each row as an array of
+ *   the values in the order of the columns>,
+ * transformRow: <{keys, dateOnly, types} to transform the rows returned, keys
+ *   being camelCase or a function mapping each column name, dateOnly: string
+ *   to return the date columns as YYYY-MM-DD and types the functions
+ *   converting the values of each SQL type, as {decimal: Number}>
+ *
+ * The layer is an EventEmitter firing query:start, query:end, query:error,
+ * transaction:begin, transaction:commit, transaction:rollback, pool:connect
+ * and pool:close
  *
  * @returns {MssqlCrLayer}
  * @constructor
@@ -27,6 +53,7 @@ function MssqlCrLayer(config) {
   if (!(this instanceof MssqlCrLayer)) {
     return new MssqlCrLayer(config)
   }
+  config = toLayerConfig(config)
   const mssqlConfig = toMssqlConfig(config)
   connectionParams.set(this, mssqlConfig)
   this.user = mssqlConfig.user
@@ -34,14 +61,34 @@ function MssqlCrLayer(config) {
   this.host = mssqlConfig.server
   this.port = mssqlConfig.port
   this.ISOLATION_LEVEL = (config && config.ISOLATION_LEVEL) || 'READ_COMMITTED'
+  this.prepare = !(config && config.prepare === false)
+  configure(this, config, mssqlConfig.options.useUTC)
+  EventEmitter.call(this)
+  const hooks = (config && config.hooks) || {}
+  Object.keys(hooks).forEach(event => this.on(event, hooks[event]))
 }
 
+util.inherits(MssqlCrLayer, EventEmitter)
+
+// The class of the errors of the database, with code and sqlState
+MssqlCrLayer.DatabaseError = DatabaseError
+
 MssqlCrLayer.prototype.dialect = 'mssql'
 
 MssqlCrLayer.prototype.delimiters = '[]'
 
-MssqlCrLayer.prototype.connect = function() {
-  const config = connectionParams.get(this)
+/**
+ * Connect to the database, opening a pool or reusing the one already open
+ * @param options {object} Can contain database, to connect to another
+ * database of the server than the one in the config, each database having its
+ * own pool
+ * @returns {Promise} With the mssql ConnectionPool
+ */
+MssqlCrLayer.prototype.connect = function(options) {
+  const database = options && options.database
+  const config = database
+    ? {...connectionParams.get(this), database}
+    : connectionParams.get(this)
   const connections = (this.connections = this.connections || new Map())
   const getConnectionKey = () =>
     `${config.server}${config.port}${config.database}${config.user}`
@@ -50,15 +97,429 @@ MssqlCrLayer.prototype.connect = function() {
     if (config.password === connection.config.password) {
       return Promise.resolve(connection.connection)
     }
-    connection.connection.close()
+    const previous = connection
+    previous.connection.close().then(() => {
+      notify(this, 'pool:close', poolEvent(previous.config))
+    })
   }
   connection = {}
   connection.config = Object.assign({}, config)
   connection.connection = new mssql.ConnectionPool(config)
-  return connection.connection.connect().then(() => {
-    connections.set(getConnectionKey(), connection)
-    return connection.connection
+  return connection.connection.connect().then(
+      () => {
+        connections.set(getConnectionKey(), connection)
+        notify(this, 'pool:connect', poolEvent(config))
+        return connection.connection
+      },
+      err => {
+        throw toDatabaseError(err)
+      }
+  )
+}
+
+const poolEvent = config => ({
+  server: config.server,
+  port: config.port,
+  database: config.database,
+  user: config.user
+})
+
+/**
+ * Emit an event without letting an error in a listener break the command
+ */
+const notify = (layer, event, payload) => {
+  if (layer.listenerCount(event) === 0) {
+    return
+  }
+  try {
+    layer.emit(event, payload)
+  } catch (err) {
+    debug('listener of %s %O', event, err)
+  }
+}
+
+const transientErrors = [
+  1205, // Deadlock victim
+  1222, // Lock request time out
+  4060, // Azure: cannot open database
+  4221, // Azure: login to read-secondary failed
+  10928, // Azure: resource limit reached
+  10929, // Azure: minimum guarantee not available
+  40143, // Azure: connection could not be initialized
+  40197, // Azure: error processing the request
+  40501, // Azure: service is busy
+  40613, // Azure: database not currently available
+  49918, // Azure: not enough resources to process the request
+  49919, // Azure: too many create or update operations
+  49920, // Azure: too many operations in progress
+  'ESOCKET',
+  'ECONNRESET',
+  'ECONNCLOSED'
+]
+
+const isTransient = (err, errors) => {
+  if (!err || typeof err !== 'object') {
+    return false
+  }
+  // The codes of the driver are kept in the original error
+  const original = err instanceof DatabaseError ? err.originalError : err
+  return [err, original]
+      .concat(original.precedingErrors || [])
+      .some(function(error) {
+        return (
+          errors.indexOf(error.number) !== -1 ||
+          errors.indexOf(error.code) !== -1
+        )
+      })
+}
+
+const retryDelay = (settings, attempt) => {
+  switch (settings.backoff) {
+    case 'exponential':
+      return settings.delay * Math.pow(2, attempt)
+    case 'linear':
+      return settings.delay * (attempt + 1)
+    default:
+      return settings.delay
+  }
+}
+
+/**
+ * Run again the function that returns a promise while it fails with a
+ * transient error
+ * @param run {function}
+ * @param retry {object|boolean} true or {retries, backoff, delay, errors}
+ * @param description {string} To be logged in each retry
+ * @returns {Promise}
+ */
+const withRetry = (run, retry, description) => {
+  const settings = {
+    retries: 3,
+    backoff: 'exponential',
+    delay: 100,
+    errors: transientErrors,
+    ...(retry === true ? {} : retry)
+  }
+  const attempt = count =>
+    run().catch(function(err) {
+      if (count >= settings.retries || !isTransient(err, settings.errors)) {
+        throw err
+      }
+      const delay = retryDelay(settings, count)
+      debug(
+          'retry %d of %d in %dms of %s %O',
+          count + 1,
+          settings.retries,
+          delay,
+          description,
+          err
+      )
+      return new Promise(resolve => setTimeout(resolve, delay)).then(
+          function() {
+            return attempt(count + 1)
+          }
+      )
+    })
+  return attempt(0)
+}
+
+const rolledBack = new WeakMap()
+const savepoints = new WeakMap() // Hidden savepoint name and outer transaction
+let savepointCount = 0
+
+const trackRollback = transaction => {
+  rolledBack.set(transaction, false)
+  transaction.on('rollback', function() {
+    rolledBack.set(transaction, true)
   })
+  return transaction
+}
+
+/**
+ * Create a savepoint inside a transaction. It delegates to the outer
+ * transaction so it can be used as a transaction in the options of each command
+ */
+const beginSavepoint = outer => {
+  const transaction = savepoints.has(outer)
+    ? savepoints.get(outer).transaction
+    : outer
+  const name = 'savepoint_' + ++savepointCount
+  const savepoint = {
+    get config() {
+      return transaction.config
+    },
+    get connected() {
+      return transaction.connected
+    },
+    acquire(request, callback) {
+      return transaction.acquire(request, callback)
+    },
+    release(connection) {
+      return transaction.release(connection)
+    }
+  }
+  savepoints.set(savepoint, {transaction, name})
+  return new mssql.Request(transaction)
+      .batch('SAVE TRANSACTION ' + name)
+      .then(function() {
+        return savepoint
+      })
+}
+
+const rollbackSavepoint = savepoint => {
+  const {transaction, name} = savepoints.get(savepoint)
+  return rolledBack.get(transaction)
+    ? Promise.resolve()
+    : new mssql.Request(transaction)
+        .batch('ROLLBACK TRANSACTION ' + name)
+        .then(function() {})
+}
+
+const sessions = new WeakSet()
+
+/**
+ * Hold a connection of the pool, so consecutive commands share the session,
+ * with its SET options and temporary tables. It can be used as a transaction
+ * in the options of each command, and should be released when done
+ */
+const holdConnection = pool =>
+  pool.acquire().then(function(connection) {
+    const session = {
+      get config() {
+        return pool.config
+      },
+      get connected() {
+        return pool.connected
+      },
+      get collation() {
+        return pool.collation
+      },
+      acquire(request, callback) {
+        setImmediate(callback, null, connection, pool.config)
+        return session
+      },
+      release() {
+        return session
+      },
+      close() {
+        pool.release(connection)
+      }
+    }
+    sessions.add(session)
+    return session
+  })
+
+const transactionIds = new WeakMap()
+let transactionCount = 0
+
+/**
+ * A sequential id identifying the transaction in the events, the same for its
+ * savepoints
+ */
+const transactionId = transaction => {
+  if (!transaction || sessions.has(transaction)) {
+    return null
+  }
+  if (savepoints.has(transaction)) {
+    transaction = savepoints.get(transaction).transaction
+  }
+  if (!transactionIds.has(transaction)) {
+    transactionIds.set(transaction, ++transactionCount)
+  }
+  return transactionIds.get(transaction)
+}
+
+const transactionEvent = (transaction, extra) => ({
+  transaction: transactionId(transaction),
+  savepoint: savepoints.has(transaction)
+    ? savepoints.get(transaction).name
+    : void 0,
+  ...extra
+})
+
+const queryEvent = (statement, inputs, options) => ({
+  statement,
+  params: inputs.map(({name, type}) => ({
+    name,
+    type: declare(type.type || type, type.type ? type : {})
+  })),
+  transaction: transactionId(options && options.transaction)
+})
+
+/**
+ * Run a request emitting query:start, and then query:end with the duration and
+ * the counts of rows returned and affected, or query:error with the error
+ * converted to a DatabaseError
+ * @param run {function} Returning a promise with the mssql result
+ */
+const instrument = (layer, statement, inputs, options, run) => {
+  const event = queryEvent(statement, inputs, options)
+  notify(layer, 'query:start', event)
+  const start = Date.now()
+  return run().then(
+      function(result) {
+        notify(layer, 'query:end', {
+          ...event,
+          duration: Date.now() - start,
+          rowCount: (result.recordsets || []).reduce(
+              (count, recordset) => count + recordset.length,
+              0
+          ),
+          rowsAffected: [].concat(result.rowsAffected || [])
+        })
+        return result
+      },
+      function(err) {
+        err = toDatabaseError(err, statement, inputs)
+        notify(layer, 'query:error', {
+          ...event,
+          duration: Date.now() - start,
+          error: err
+        })
+        throw err
+      }
+  )
+}
+
+const transactionSignals = new WeakMap()
+
+const timeoutError = timeout => {
+  const err = new Error(`Request timed out after ${timeout}ms`)
+  err.name = 'TimeoutError'
+  err.code = 'ETIMEOUT'
+  return err
+}
+
+const abortError = reason => {
+  if (reason && (reason.code === 'ETIMEOUT' || reason.code === 'ABORT_ERR')) {
+    // Already a cancellation error, as the ones aborting a transaction
+    return reason
+  }
+  const err = new Error('Request aborted')
+  err.name = 'AbortError'
+  err.code = 'ABORT_ERR'
+  err.cause = reason
+  return err
+}
+
+/**
+ * The signals that cancel a command, its own, the one of its transaction
+ * and, in a savepoint, the one of the outer transaction
+ */
+const signalsOf = options => {
+  const transaction = options && options.transaction
+  return [
+    options && options.signal,
+    transaction && transactionSignals.get(transaction),
+    savepoints.has(transaction) &&
+      transactionSignals.get(savepoints.get(transaction).transaction)
+  ].filter(Boolean)
+}
+
+/**
+ * Call cancel once the timeout expires or one of the signals is aborted
+ * @returns {object} With error, the cancellation error when cancelled, and
+ * clear, to stop watching
+ */
+const watch = (cancel, timeout, signals) => {
+  const watcher = {error: null}
+  const stop = error => {
+    if (!watcher.error) {
+      watcher.error = error
+      cancel()
+    }
+  }
+  const timer = timeout
+    ? setTimeout(() => stop(timeoutError(timeout)), timeout)
+    : null
+  watcher.clearTimer = () => clearTimeout(timer)
+  const onAbort = function() {
+    stop(abortError(this.reason))
+  }
+  signals.forEach(signal => signal.addEventListener('abort', onAbort))
+  watcher.clear = () => {
+    watcher.clearTimer()
+    signals.forEach(signal => signal.removeEventListener('abort', onAbort))
+  }
+  return watcher
+}
+
+/**
+ * With a timeout in the options the request is timed by the layer only, as
+ * the requestTimeout of the driver would still expire first when shorter
+ * @param request {mssql.Request}
+ * @returns {mssql.Request}
+ */
+const timedByLayer = (request, options) => {
+  if (options && options.timeout !== void 0) {
+    const setCurrentRequest = request._setCurrentRequest
+    request._setCurrentRequest = function(tediousRequest) {
+      tediousRequest.setTimeout(0)
+      return setCurrentRequest.call(this, tediousRequest)
+    }
+  }
+  return request
+}
+
+/**
+ * Run a request that is cancelled on the server when the timeout of the
+ * options expires or a signal is aborted, failing with a TimeoutError or an
+ * AbortError instead of the mssql cancel error. Without a timeout the
+ * requestTimeout of the driver applies
+ * @param run {function} Returning the promise of the request
+ * @param cancel {function} Cancelling the request
+ */
+const cancellable = (options, run, cancel) => {
+  const timeout = options && options.timeout
+  const signals = signalsOf(options)
+  const aborted = signals.find(signal => signal.aborted)
+  if (aborted) {
+    return Promise.reject(abortError(aborted.reason))
+  }
+  const watcher = watch(cancel, timeout, signals)
+  return run().then(
+      function(result) {
+        watcher.clear()
+        return result
+      },
+      function(err) {
+        watcher.clear()
+        throw watcher.error || err
+      }
+  )
+}
+
+/**
+ * Abort the commands of a transaction once its timeout expires or its signal
+ * is aborted
+ * @returns {function} To stop watching
+ */
+const watchTransaction = (transaction, options) => {
+  if (!options.timeout && !options.signal) {
+    return () => {}
+  }
+  const controller = new AbortController()
+  transactionSignals.set(transaction, controller.signal)
+  const watcher = watch(
+      () => controller.abort(watcher.error),
+      options.timeout,
+      options.signal ? [options.signal] : []
+  )
+  if (options.signal && options.signal.aborted) {
+    controller.abort(abortError(options.signal.reason))
+  }
+  return watcher.clear
+}
+
+/**
+ * Fail if the transaction was aborted, so it is rolled back instead of
+ * committed
+ */
+const checkAborted = transaction => {
+  const signal = transactionSignals.get(transaction)
+  if (signal && signal.aborted) {
+    throw abortError(signal.reason)
+  }
 }
 
 /**
@@ -67,73 +528,180 @@ MssqlCrLayer.prototype.connect = function() {
  * fn should return a promise with commands that when resolved will be committed
  * or rolled back in case of an error. At each command you should pass
  * the transaction parameter as a transaction property in options
- * @param options {object} - Optional transaction level and database to connect
+ * @param options {object} - Optional transaction level and database to connect,
+ * as in connect. If it contains a transaction, fn will run inside a savepoint of it, and an
+ * error will roll back only to the savepoint keeping the outer transaction
+ * usable. With retry, true or {retries, backoff, delay, errors}, the whole
+ * transaction is run again when it fails with a transient error, like being
+ * chosen as a deadlock victim. With timeout, in milliseconds, or signal, an
+ * AbortSignal, the running command is cancelled and the transaction rolled
+ * back once the timeout expires or the signal is aborted
  * @returns {Promise} With the return of the last promise executed
  */
 MssqlCrLayer.prototype.transaction = function(fn, options) {
+  const layer = this
   options = options || {}
-  const isolationLevel = options.ISOLATION_LEVEL || this.ISOLATION_LEVEL
-  return this.connect().then(function(connection) {
-    const transaction = new mssql.Transaction(connection)
-    let rolledBack = false
-    transaction.on('rollback', function() {
-      rolledBack = true
+  if (options.retry && !options.transaction) {
+    const {retry, ...transactionOptions} = options
+    return withRetry(
+        () => this.transaction(fn, transactionOptions),
+        retry,
+        'transaction'
+    )
+  }
+  if (options.transaction) {
+    return beginSavepoint(options.transaction).then(function(savepoint) {
+      notify(layer, 'transaction:begin', transactionEvent(savepoint))
+      const stopWatching = watchTransaction(savepoint, options)
+      return Promise.resolve()
+          .then(function() {
+            return fn(savepoint)
+          })
+          .then(function(res) {
+            checkAborted(savepoint)
+            stopWatching()
+            notify(layer, 'transaction:commit', transactionEvent(savepoint))
+            return res
+          })
+          .catch(function(err) {
+            stopWatching()
+            // Converted after the rollback, that should run whatever err is
+            return rollbackSavepoint(savepoint).then(function() {
+              err = toDatabaseError(err)
+              notify(
+                  layer,
+                  'transaction:rollback',
+                  transactionEvent(savepoint, {error: err})
+              )
+              throw err
+            })
+          })
     })
+  }
+  const isolationLevel = options.ISOLATION_LEVEL || this.ISOLATION_LEVEL
+  return this.connect(options).then(function(connection) {
+    const transaction = trackRollback(new mssql.Transaction(connection))
+    let stopWatching = () => {}
     return transaction
         .begin(mssql.ISOLATION_LEVEL[isolationLevel])
         .then(function() {
+          notify(
+              layer,
+              'transaction:begin',
+              transactionEvent(transaction, {isolationLevel})
+          )
+          stopWatching = watchTransaction(transaction, options)
           return fn(transaction)
         })
         .then(function(res) {
+          checkAborted(transaction)
+          stopWatching()
           return transaction.commit().then(function() {
+            notify(layer, 'transaction:commit', transactionEvent(transaction))
             return res
           })
         })
         .catch(function(err) {
-          if (!rolledBack) {
-            return transaction.rollback().then(function() {
-              throw err
-            })
-          }
-          throw err
+          stopWatching()
+          return (
+            rolledBack.get(transaction)
+              ? Promise.resolve()
+              : transaction.rollback()
+          ).then(function() {
+            err = toDatabaseError(err)
+            notify(
+                layer,
+                'transaction:rollback',
+                transactionEvent(transaction, {error: err})
+            )
+            throw err
+          })
         })
   })
 }
 
-const rolledBack = new WeakMap()
-
+/**
+ * Begin a transaction to be controlled step by step with commit and rollback
+ * @param options {object} - Optional transaction level and database to connect,
+ * as in connect. If it contains a transaction, a savepoint of it will be
+ * returned instead
+ * @returns {Promise} With the transaction
+ */
 MssqlCrLayer.prototype.beginTransaction = function(options) {
+  const layer = this
   options = options || {}
-  const isolationLevel = options.ISOLATION_LEVEL || this.ISOLATION_LEVEL
-  return this.connect().then(function(connection) {
-    const transaction = new mssql.Transaction(connection)
-    rolledBack.set(transaction, false)
-    transaction.on('rollback', function() {
-      rolledBack.set(transaction, true)
+  if (options.transaction) {
+    return beginSavepoint(options.transaction).then(function(savepoint) {
+      notify(layer, 'transaction:begin', transactionEvent(savepoint))
+      return savepoint
     })
+  }
+  const isolationLevel = options.ISOLATION_LEVEL || this.ISOLATION_LEVEL
+  return this.connect(options).then(function(connection) {
+    const transaction = trackRollback(new mssql.Transaction(connection))
     return transaction
         .begin(mssql.ISOLATION_LEVEL[isolationLevel])
-        .then(function() {
-          return transaction
-        })
+        .then(
+            function() {
+              notify(
+                  layer,
+                  'transaction:begin',
+                  transactionEvent(transaction, {isolationLevel})
+              )
+              return transaction
+            },
+            function(err) {
+              throw toDatabaseError(err)
+            }
+        )
   })
 }
 
 MssqlCrLayer.prototype.commit = function(transaction) {
-  return transaction.commit().catch(function(err) {
-    if (!rolledBack.get(transaction)) {
-      return transaction.rollback().then(function() {
-        throw err
-      })
-    }
-    throw err
-  })
+  const layer = this
+  if (savepoints.has(transaction)) {
+    // A savepoint is committed along with the outer transaction
+    notify(layer, 'transaction:commit', transactionEvent(transaction))
+    return Promise.resolve()
+  }
+  return transaction.commit().then(
+      function() {
+        notify(layer, 'transaction:commit', transactionEvent(transaction))
+      },
+      function(err) {
+        return (
+          rolledBack.get(transaction)
+            ? Promise.resolve()
+            : transaction.rollback()
+        ).then(function() {
+          err = toDatabaseError(err)
+          notify(
+              layer,
+              'transaction:rollback',
+              transactionEvent(transaction, {error: err})
+          )
+          throw err
+        })
+      }
+  )
 }
 
 MssqlCrLayer.prototype.rollback = function(transaction) {
-  return rolledBack.get(transaction)
-    ? Promise.resolve()
-    : transaction.rollback()
+  const layer = this
+  return (
+    savepoints.has(transaction)
+      ? rollbackSavepoint(transaction)
+      : rolledBack.get(transaction)
+        ? Promise.resolve()
+        : transaction.rollback()
+  ).then(
+      function() {
+        notify(layer, 'transaction:rollback', transactionEvent(transaction))
+      },
+      function(err) {
+        throw toDatabaseError(err)
+      }
+  )
 }
 
 const fold = record => {
@@ -150,27 +718,236 @@ const fold = record => {
   return record
 }
 
+const toColumns = recordset =>
+  recordset && recordset.columns
+    ? Object.keys(recordset.columns)
+        .map(key => recordset.columns[key])
+        .sort((a, b) => a.index - b.index)
+        .map(column => ({
+          name: column.name,
+          type: column.type && column.type.declaration,
+          length: column.length,
+          precision: column.precision,
+          scale: column.scale,
+          nullable: column.nullable,
+          identity: column.identity,
+          readOnly: column.readOnly
+        }))
+    : []
+
+const toResult = (layer, result, options) => {
+  const transform = rowTransform(layer, options)
+  const toRows = recordset =>
+    transform
+      ? recordset.map(fold).map(transform(toColumns(recordset)))
+      : recordset.map(fold)
+  const rows = result.recordset ? toRows(result.recordset) : []
+  if (!(options && (options.raw || options.result === 'full'))) {
+    return rows
+  }
+  return {
+    rows,
+    recordsets: (result.recordsets || []).map((recordset, index) =>
+      index === 0 ? rows : toRows(recordset)
+    ),
+    rowsAffected: result.rowsAffected || [],
+    output: result.output || {},
+    columns: toColumns(result.recordset)
+  }
+}
+
+// A param in the {value, type...} format instead of a plain value
+const isTyped = param =>
+  param !== null &&
+  typeof param === 'object' &&
+  !(param instanceof Date) &&
+  !Buffer.isBuffer(param)
+
+/**
+ * Replace the placeholders in the statement with named parameters, skipping
+ * strings, quoted identifiers and comments. If params is an array $1, $2...
+ * are replaced by @p1, @p2... and each ? by the next one in sequence. If params
+ * is an object @name is kept and :name is replaced by @name. A parameter whose
+ * value is an array is expanded in a list of parameters, one per element,
+ * to be used with IN, unless it is typed as a table or json
+ */
+const convertParams = (statement, params) => {
+  const isArray = Array.isArray(params)
+  const paramsObj = isArray ? {} : {...params}
+  let position = 0
+  let last = 0
+  const bind = (name, param) => {
+    const typed = isTyped(param) && !Array.isArray(param)
+    const value = typed ? param.value : param
+    const whole = typed && (param.type === 'table' || param.type === 'json')
+    if (!Array.isArray(value) || whole) {
+      paramsObj[name] = param
+      return '@' + name
+    }
+    delete paramsObj[name]
+    if (value.length === 0) {
+      // An empty set, so IN matches nothing and NOT IN matches everything
+      return 'SELECT NULL WHERE 1 = 0'
+    }
+    return value
+        .map(function(element, index) {
+          paramsObj[name + '_' + index] = typed
+            ? {...param, value: element}
+            : element
+          return '@' + name + '_' + index
+        })
+        .join(', ')
+  }
+  const replace = (match, index, name) => {
+    if (match === '::' || match[1] === '@') {
+      return match
+    }
+    if (!isArray) {
+      const known =
+        name !== void 0 && Object.prototype.hasOwnProperty.call(params, name)
+      return known ? bind(name, params[name]) : match
+    }
+    if (name !== void 0) {
+      return match
+    }
+    const key = index !== void 0 ? Number(index) : ++position
+    last = Math.max(last, key)
+    return bind('p' + key, params[key - 1])
+  }
+  statement = tokenize(statement)
+      .map(token =>
+        token.type === 'code'
+          ? token.text.replace(
+              /::|@@\w+|\$(\d+)(?![\w$])|\?|[:@]([A-Za-z_]\w*)/g,
+              replace
+          )
+          : token.text
+      )
+      .join('')
+  assert(
+      !isArray || last <= params.length,
+      'There are more ' + 'parameters in statement than in object params'
+  )
+  return {statement, params: paramsObj}
+}
+
+const toInputs = params =>
+  Object.keys(params).map(function(name) {
+    const param = params[name]
+    if (param && param.type === 'table') {
+      const value = toTable(param.tableType, param.columns, param.value || [])
+      return {name, type: getType(value, param), value, output: false}
+    }
+    if (isTyped(param)) {
+      let value = param.value !== void 0 ? param.value : null
+      if (param.type === 'json' && value !== null) {
+        value = typeof value === 'string' ? value : JSON.stringify(value)
+      }
+      const output = param.direction === 'output'
+      return {name, type: getType(value, param), value, output}
+    }
+    const value = param !== void 0 ? param : null
+    return {name, type: getType(value), value}
+  })
+
 /**
  * Execute a script
  * @param script {string}
- * @param options {object} Can contain the transaction connection
+ * @param options {object} Can contain the transaction connection and raw,
+ * or result: 'full', to resolve to {rows, recordsets, rowsAffected, output,
+ * columns} instead of the rows of the first recordset. With timeout, in
+ * milliseconds, overriding the config requestTimeout, or signal, an
+ * AbortSignal, the script is cancelled in the server, failing with a
+ * DatabaseError with code timeout or query_canceled. Outside a transaction it
+ * can contain the database, as in connect. rowMode and transformRow replace
+ * the ones of the config
  * @returns {Promise}
  */
 MssqlCrLayer.prototype.batch = function(script, options) {
   const transaction = options && options.transaction
-  return (transaction ? Promise.resolve(transaction) : this.connect()).then(
-      function(connection) {
-        return new mssql.Request(connection)
-            .batch(script)
-            .then(function({recordset}) {
-              return recordset ? recordset.map(fold) : []
-            })
+  return Promise.resolve()
+      .then(() => validateOptions(options))
+      .then(() => transaction || this.connect(options))
+      .then(connection => {
+        const request = timedByLayer(new mssql.Request(connection), options)
+        return instrument(this, script, [], options, () =>
+          cancellable(
+              options,
+              () => request.batch(script),
+              () => request.cancel()
+          )
+        )
+            .then(result => toResult(this, result, options))
             .catch(err => {
               debug('%s %O', script, err)
               throw err
             })
-      }
-  )
+      })
+}
+
+/**
+ * Execute a script with batches separated by GO lines, as exported by SSMS,
+ * one after the other in the same connection. A GO with a count, GO 5, runs
+ * the batch that many times
+ * @param script {string}
+ * @param options {object} Can contain the transaction connection, or
+ * transaction: true to run the whole script in a new transaction, rolled back
+ * if a batch fails, and the options of batch, applied to each batch
+ * @returns {Promise} With an array with the result of each batch. If a batch
+ * fails the error has batch, its number counting from 1, and line, the line
+ * of the script where the error was found
+ */
+MssqlCrLayer.prototype.runScript = function(script, options) {
+  options = options || {}
+  if (options.transaction === true) {
+    const {transaction, ...transactionOptions} = options
+    return this.transaction(
+        t => this.runScript(script, {...transactionOptions, transaction: t}),
+        transactionOptions
+    )
+  }
+  const batches = splitScript(script)
+  const run = connection =>
+    batches.reduce(
+        (promise, batch, index) =>
+          promise.then(results => {
+            let execution = Promise.resolve()
+            for (let i = 0; i < batch.count; i++) {
+              execution = execution.then(() =>
+                this.batch(batch.text, {...options, transaction: connection})
+              )
+            }
+            return execution.then(
+                function(result) {
+                  return results.concat([result])
+                },
+                function(err) {
+                  err.batch = index + 1
+                  err.line = batch.line + (err.lineNumber || 1) - 1
+                  debug('batch %d at line %d %O', err.batch, err.line, err)
+                  throw err
+                }
+            )
+          }),
+        Promise.resolve([])
+    )
+  if (options.transaction) {
+    return run(options.transaction)
+  }
+  return this.connect(options)
+      .then(holdConnection)
+      .then(function(session) {
+        return run(session).then(
+            function(results) {
+              session.close()
+              return results
+            },
+            function(err) {
+              session.close()
+              throw err
+            }
+        )
+      })
 }
 
 /**
@@ -179,7 +956,14 @@ MssqlCrLayer.prototype.batch = function(script, options) {
  * @param params {Array|object} If array it will replace $1, $2... for each
  * element of the array. If object it will replace @key1, @key2 with the value with
  * each correspondent key
- * @param options {object} Can contain the transaction connection
+ * @param options {object} Can contain the transaction connection and raw,
+ * or result: 'full', to resolve to {rows, recordsets, rowsAffected, output,
+ * columns} instead of the rows of the first recordset. Outside a transaction
+ * it can also contain retry, as in transaction. Use prepare to override the
+ * layer prepare setting. Can contain timeout and signal as in batch,
+ * translate: 'pg' to run a statement written for PostgreSQL, and the
+ * database, as in connect, when not in a transaction. rowMode and
+ * transformRow replace the ones of the config
  * @returns {Promise}
  */
 MssqlCrLayer.prototype.execute = function(statement, params, options) {
@@ -192,19 +976,62 @@ MssqlCrLayer.prototype.execute = function(statement, params, options) {
  * @param params {Array|object} If array it will replace $1, $2... for each
  * element of the array. If object it will replace @key1, @key2 with the value with
  * each correspondent key
- * @param options {object} Can contain the transaction connection
+ * @param options {object} Can contain the transaction connection and raw,
+ * or result: 'full', to resolve to {rows, recordsets, rowsAffected, output,
+ * columns} instead of the rows of the first recordset. Outside a transaction
+ * it can also contain retry, as in transaction. Use prepare to override the
+ * layer prepare setting. Can contain timeout and signal as in batch,
+ * translate: 'pg' to run a statement written for PostgreSQL, and the
+ * database, as in connect, when not in a transaction. rowMode and
+ * transformRow replace the ones of the config
  * @returns {Promise}
  */
 MssqlCrLayer.prototype.query = function(statement, params, options) {
+  if (options && options.translate) {
+    const {translate: dialect, ...queryOptions} = options
+    return Promise.resolve()
+        .then(() => translate(statement, dialect))
+        .then(translated => this.query(translated, params, queryOptions))
+  }
+  if (options && options.retry && !options.transaction) {
+    const {retry, ...queryOptions} = options
+    return withRetry(
+        () => this.query(statement, params, queryOptions),
+        retry,
+        statement
+    )
+  }
   const transaction = options && options.transaction
-  const connect = transaction ? Promise.resolve(transaction) : this.connect()
-  if (params === void 0 || params === null) {
-    return connect.then(function(connection) {
-      return new mssql.Request(connection)
-          .query(statement)
-          .then(function({recordset}) {
-            return recordset ? recordset.map(fold) : []
-          })
+  const connect = Promise.resolve()
+      .then(() => validateOptions(options))
+      .then(() => transaction || this.connect(options))
+  // Table-valued parameters are always sent through sp_executesql
+  const hasTable =
+    params &&
+    Object.keys(params).some(key => params[key] && params[key].type === 'table')
+  const prepare =
+    options && options.prepare !== void 0 ? options.prepare : this.prepare
+  if (params === void 0 || params === null || !prepare || hasTable) {
+    return connect.then(connection => {
+      const request = timedByLayer(new mssql.Request(connection), options)
+      let inputs = []
+      if (params !== void 0 && params !== null) {
+        // Parameterized in a single round trip through sp_executesql
+        const converted = convertParams(statement, params)
+        statement = converted.statement
+        inputs = toInputs(converted.params)
+        inputs.forEach(function({name, type, value}) {
+          request.input(name, type, value)
+        })
+      }
+      return instrument(this, statement, inputs, options, () =>
+        cancellable(
+            options,
+            () => request.query(statement),
+            () => request.cancel()
+        )
+      )
+          .then(result => toResult(this, result, options))
           .catch(err => {
             debug('%s %O', statement, err)
             throw err
@@ -212,65 +1039,253 @@ MssqlCrLayer.prototype.query = function(statement, params, options) {
     })
   }
 
-  const convertParams = function() {
-    if (Array.isArray(params)) {
-      const match = statement.match(/(\$\w*\b)/g)
-      assert(
-          ((match && match.length) || 0) <= Object.keys(params).length,
-          'There are more ' + 'parameters in statement than in object params'
-      )
-      const paramsObj = {}
-      if (match) {
-        match.map(function(param) {
-          const key = param.substr(1)
-          paramsObj['p' + key] = params[Number(key) - 1]
-          statement = statement.replace(param, '@p' + key)
-        })
-      }
-      params = paramsObj
-    }
-  }
-
   let ps
+  let inputs
   const input = {}
   return connect
       .then(function(connection) {
-        convertParams()
+        const converted = convertParams(statement, params)
+        statement = converted.statement
         ps = new mssql.PreparedStatement(connection)
-        Object.keys(params).forEach(function(key) {
-          const param = params[key]
-          if (typeof param === 'object' && !(param instanceof Date)) {
-            input[key] = param && param.value !== void 0 ? param.value : null
-            ps.input(key, getType(input[key], param))
-          } else {
-            input[key] = param !== void 0 ? param : null
-            ps.input(key, getType(input[key]))
-          }
+        inputs = toInputs(converted.params)
+        inputs.forEach(function({name, type, value}) {
+          input[name] = value
+          ps.input(name, type)
         })
       })
-      .then(function() {
-        return ps.prepare(statement)
-      })
-      .then(function() {
-        return ps
-            .execute(input)
-            .then(function({recordset}) {
-              return ps.unprepare().then(function() {
-                return recordset ? recordset.map(fold) : []
-              })
-            })
-            .catch(function(error) {
-              return ps.unprepare().then(function() {
-                throw error
-              })
+      .then(() => {
+        let execution
+        let cancelled = false
+        const execute = () =>
+          new Promise(function(resolve, reject) {
+            execution = ps.execute(input, function(err, result) {
+              return err ? reject(err) : resolve(result)
             })
+            timedByLayer(execution, options)
+            if (cancelled) {
+              execution.cancel()
+            }
+          })
+        const cancel = () => {
+          cancelled = true
+          if (execution) {
+            execution.cancel()
+          }
+        }
+        return instrument(this, statement, inputs, options, () =>
+          cancellable(
+              options,
+              () =>
+                ps.prepare(statement).then(function() {
+                  return execute()
+                      .then(function(result) {
+                        return ps.unprepare().then(function() {
+                          return result
+                        })
+                      })
+                      .catch(function(error) {
+                        return ps.unprepare().then(function() {
+                          throw error
+                        })
+                      })
+                }),
+              cancel
+          )
+        )
       })
+      .then(result => toResult(this, result, options))
       .catch(err => {
         debug('%s %O', statement, err)
         throw err
       })
 }
 
+/**
+ * Stream the rows of a query
+ * @param statement {string}
+ * @param params {Array|object} Same as in query
+ * @param options {object} Can contain the transaction connection, the
+ * highWaterMark, the number of rows buffered before the request is paused,
+ * and timeout, signal, rowMode and transformRow as in batch
+ * @returns {AsyncIterator} Yielding each row, to be consumed with for await
+ */
+MssqlCrLayer.prototype.stream = async function *(statement, params, options) {
+  options = options || {}
+  validateOptions(options)
+  const signals = signalsOf(options)
+  const aborted = signals.find(signal => signal.aborted)
+  if (aborted) {
+    throw toDatabaseError(abortError(aborted.reason), statement)
+  }
+  const connection = options.transaction || (await this.connect(options))
+  const converted = convertParams(statement, params || {})
+  const request = timedByLayer(new mssql.Request(connection), options)
+  const inputs = toInputs(converted.params)
+  inputs.forEach(function({name, type, value}) {
+    request.input(name, type, value)
+  })
+  const rows = request.toReadableStream(
+      options.highWaterMark ? {highWaterMark: options.highWaterMark} : {}
+  )
+  let done = false
+  rows.on('end', function() {
+    done = true
+  })
+  const event = queryEvent(converted.statement, inputs, options)
+  notify(this, 'query:start', event)
+  const start = Date.now()
+  let rowCount = 0
+  let failed = false
+  // The timeout is until the first row, not while the rows are consumed
+  const watcher = watch(() => request.cancel(), options.timeout, signals)
+  request.once('recordset', watcher.clearTimer)
+  request.once('row', watcher.clearTimer)
+  // Each row is transformed as the columns of its recordset, known when it
+  // is read from the server and not when it is consumed
+  const transform = rowTransform(this, options)
+  const transforms = new WeakMap()
+  let toRow = null
+  if (transform) {
+    request.on('recordset', function(columns) {
+      toRow = transform(toColumns({columns}))
+    })
+    request.on('row', function(row) {
+      transforms.set(row, toRow)
+    })
+  }
+  // In stream mode it resolves, with no error, once the connection is free
+  const completed = request.query(converted.statement)
+  try {
+    for await (const row of rows) {
+      rowCount++
+      yield transform ? transforms.get(row)(fold(row)) : fold(row)
+    }
+  } catch (err) {
+    debug('%s %O', converted.statement, err)
+    const error = toDatabaseError(watcher.error || err, event.statement, inputs)
+    failed = true
+    notify(this, 'query:error', {
+      ...event,
+      duration: Date.now() - start,
+      error
+    })
+    throw error
+  } finally {
+    watcher.clear()
+    if (!done) {
+      // Until then a transaction rejects its next request
+      request.cancel()
+      await completed
+    }
+    // Also when the consumer stops early
+    if (!failed) {
+      notify(this, 'query:end', {
+        ...event,
+        duration: Date.now() - start,
+        rowCount,
+        rowsAffected: []
+      })
+    }
+  }
+}
+
+/**
+ * Bulk insert rows into an existing table
+ * @param tableName {string}
+ * @param columns {Array} Column names or descriptors as in the typed
+ * parameters, {name, type, maxLength, decimals, timezone}. Untyped columns
+ * have their type inferred from their values
+ * @param rows {Array} Each row can be an array of values in the columns order
+ * or an object keyed by the column names
+ * @param options {object} Can contain the transaction connection
+ * @returns {Promise} With the number of rows inserted
+ */
+MssqlCrLayer.prototype.bulkInsert = function(
+    tableName,
+    columns,
+    rows,
+    options
+) {
+  const transaction = options && options.transaction
+  if (!rows || rows.length === 0) {
+    return Promise.resolve(0)
+  }
+  const table = toTable(tableName, columns, rows)
+  return (transaction ? Promise.resolve(transaction) : this.connect(options))
+      .then(connection => {
+        // The driver requestTimeout still applies to the bulk load
+        const request = new mssql.Request(connection)
+        return instrument(this, 'INSERT BULK ' + tableName, [], options, () =>
+          cancellable(
+              options,
+              () => request.bulk(table),
+              () => request.cancel()
+          )
+        )
+      })
+      .then(function({rowsAffected}) {
+        return rowsAffected
+      })
+      .catch(err => {
+        debug('bulk insert into %s %O', tableName, err)
+        throw err
+      })
+}
+
+/**
+ * Call a stored procedure
+ * @param procedure {string} Name of the procedure
+ * @param params {object} With the procedure parameters keyed by name, in the
+ * same format used in query. Set direction: 'output' in a typed parameter to
+ * receive its value back
+ * @param options {object} Can contain the transaction connection, and
+ * rowMode and transformRow as in batch
+ * @returns {Promise} With {rows, recordsets, rowsAffected, output,
+ * returnValue}
+ */
+MssqlCrLayer.prototype.callProcedure = function(procedure, params, options) {
+  const transaction = options && options.transaction
+  return Promise.resolve()
+      .then(() => validateOptions(options))
+      .then(() => transaction || this.connect(options))
+      .then(connection => {
+        const request = timedByLayer(new mssql.Request(connection), options)
+        const inputs = toInputs(params || {})
+        inputs.forEach(function({name, type, value, output}) {
+          if (output) {
+            request.output(name, type, value)
+          } else {
+            request.input(name, type, value)
+          }
+        })
+        return instrument(this, 'EXECUTE ' + procedure, inputs, options, () =>
+          cancellable(
+              options,
+              () => request.execute(procedure),
+              () => request.cancel()
+          )
+        )
+      })
+      .then(result => {
+        const {rows, recordsets, rowsAffected, output} = toResult(
+            this,
+            result,
+            {...options, raw: true}
+        )
+        return {
+          rows,
+          recordsets,
+          rowsAffected,
+          output,
+          returnValue: result.returnValue
+        }
+      })
+      .catch(err => {
+        debug('%s %O', procedure, err)
+        throw err
+      })
+}
+
 /**
  * Close all connections in the poll
  * @returns {Promise}
@@ -279,7 +1294,11 @@ MssqlCrLayer.prototype.close = function() {
   let promise = Promise.resolve()
   if (this.connections) {
     this.connections.forEach(connection => {
-      promise = promise.then(() => connection.connection.close())
+      promise = promise
+          .then(() => connection.connection.close())
+          .then(() => {
+            notify(this, 'pool:close', poolEvent(connection.config))
+          })
     })
   }
   this.connections = null
@@ -292,9 +1311,18 @@ MssqlCrLayer.prototype.close = function() {
  * @returns identifier {string}
  */
 MssqlCrLayer.prototype.wrap = function(identifier) {
-  return this.delimiters[0] + identifier + this.delimiters[1]
+  const [open, close] = this.delimiters
+  return open + identifier.split(close).join(close + close) + close
 }
 
+Object.assign(
+    MssqlCrLayer.prototype,
+    require('./schema'),
+    require('./crud'),
+    require('./pagination'),
+    require('./migrations')
+)
+
 function getType(value, param) {
   let type = mssql.NVarChar
   if (param && param.type) {
@@ -302,12 +1330,37 @@ function getType(value, param) {
       case 'integer':
         type = mssql.Int
         break
+      case 'bigint':
+        type = mssql.BigInt
+        break
+      case 'smallint':
+        type = mssql.SmallInt
+        break
+      case 'tinyint':
+        type = mssql.TinyInt
+        break
       case 'number':
         type = mssql.Decimal(param.maxLength, param.decimals)
         break
+      case 'float':
+        type = mssql.Float
+        break
+      case 'real':
+        type = mssql.Real
+        break
+      case 'money':
+        type = mssql.Money
+        break
+      case 'boolean':
+      case 'bit':
+        type = mssql.Bit
+        break
       case 'date':
         type = mssql.Date
         break
+      case 'time':
+        type = mssql.Time(param.decimals)
+        break
       case 'datetime':
         if (param.timezone === true) {
           type = mssql.DateTimeOffset
@@ -315,23 +1368,104 @@ function getType(value, param) {
           type = mssql.DateTime2
         }
         break
+      case 'uuid':
+        type = mssql.UniqueIdentifier
+        break
+      case 'binary':
+        type = param.maxLength
+          ? mssql.Binary(param.maxLength)
+          : mssql.VarBinary(mssql.MAX)
+        break
+      case 'varbinary':
+        type = mssql.VarBinary(param.maxLength || mssql.MAX)
+        break
+      case 'xml':
+        type = mssql.Xml
+        break
+      case 'json':
+        type = mssql.NVarChar(mssql.MAX)
+        break
+      case 'varchar':
+        // Not unicode, to match varchar columns without implicit conversions
+        type = mssql.VarChar(param.maxLength || mssql.MAX)
+        break
       case 'string':
         if (param.maxLength) {
           type = mssql.NVarChar(param.maxLength)
         }
+        break
+      case 'table':
+        type = mssql.TVP(param.tableType)
     }
   } else {
     if (value instanceof Date) {
       type = mssql.DateTime2
     } else if (typeof value === 'number') {
-      type = mssql.Decimal(('' + value).length, decimalPlaces(value))
+      type = numericType([value])
+    } else if (typeof value === 'bigint') {
+      type = mssql.BigInt
     } else if (typeof value === 'boolean') {
       type = mssql.Bit
+    } else if (Buffer.isBuffer(value)) {
+      type = mssql.VarBinary(mssql.MAX)
     }
   }
   return type
 }
 
+/**
+ * A decimal wide enough for all the values, or a float if they do not fit in
+ * the decimal maximum precision
+ */
+function numericType(values) {
+  let scale = 0
+  let digits = 1
+  for (const value of values) {
+    if (!Number.isFinite(value) || Math.abs(value) >= 1e21) {
+      return mssql.Float
+    }
+    scale = Math.max(scale, decimalPlaces(value))
+    digits = Math.max(digits, String(Math.abs(Math.trunc(value))).length)
+  }
+  return digits + scale > 38
+    ? mssql.Float
+    : mssql.Decimal(digits + scale, scale)
+}
+
+function toTable(name, columns, rows) {
+  if (!columns) {
+    columns = rows[0] && !Array.isArray(rows[0]) ? Object.keys(rows[0]) : []
+  }
+  columns = columns.map(column =>
+    typeof column === 'string' ? {name: column} : column
+  )
+  const valueOf = (row, index) => {
+    const value = Array.isArray(row) ? row[index] : row[columns[index].name]
+    return value !== void 0 ? value : null
+  }
+  const table = new mssql.Table(name)
+  const inferType = index => {
+    const values = rows
+        .map(row => valueOf(row, index))
+        .filter(value => value !== null)
+    if (values.length && every(values, value => typeof value === 'number')) {
+      return numericType(values)
+    }
+    return getType(values[0])
+  }
+  columns.forEach(function(column, index) {
+    table.columns.add(
+        column.name,
+        column.type ? getType(null, column) : inferType(index),
+        {nullable: column.nullable !== false}
+    )
+  })
+  rows.forEach(function(row) {
+    table.rows.add(...columns.map((column, index) => valueOf(row, index)))
+  })
+  return table
+}
+
 function decimalPlaces(num) {
   const match = ('' + num).match(/(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/)
   return match
@@ -345,6 +1479,23 @@ function decimalPlaces(num) {
     : 0
 }
 
+function toLayerConfig(config) {
+  if (typeof config === 'string') {
+    return parseConnectionString(config)
+  }
+  if (!config || !config.connectionString) {
+    return config || {}
+  }
+  const {connectionString, ...rest} = config
+  const parsed = parseConnectionString(connectionString)
+  return {
+    ...parsed,
+    ...rest,
+    pool: {...parsed.pool, ...rest.pool},
+    options: {...parsed.options, ...rest.options}
+  }
+}
+
 function toMssqlConfig(config) {
   const mssqlConfig = {
     port: 1433,
@@ -367,5 +1518,14 @@ function toMssqlConfig(config) {
       delete mssqlConfig.pool.idleTimeout
     }
   }
+  if (mssqlConfig.options.instanceName) {
+    // Without an explicit port, the port of a named instance is resolved by
+    // the SQL Server Browser
+    if (config.port) {
+      delete mssqlConfig.options.instanceName
+    } else {
+      delete mssqlConfig.port
+    }
+  }
   return mssqlConfig
 }
@@ -0,0 +1,263 @@
+const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const debug = require('debug')('layer:mssql')
+const wrapTable = require('./wrap-table')
+const {plainRows} = require('./rows')
+
+/**
+ * Migrations of the database schema, read from the files of a directory
+ * named <version>_<name>.sql, or .up.sql, with an optional
+ * <version>_<name>.down.sql to revert them, or <version>_<name>.js exporting
+ * up and optionally down, functions receiving the layer and the options with
+ * the transaction. The version is a number, as 001 or 20240131120000, and
+ * the migrations are applied in its order
+ */
+
+/**
+ * Apply the pending migrations, or revert the applied ones, up to a version.
+ * Each migration runs in its own transaction along with its record in the
+ * tracking table, and an application lock keeps two instances from migrating
+ * the same database at the same time
+ * @param directory {string} Where the migration files are
+ * @param options {object} Can contain to, the target version, by default the
+ * last one, 0 to revert all, table, the tracking table, default migrations,
+ * and lockTimeout, how long to wait for the lock in milliseconds, default
+ * 60000
+ * @returns {Promise} With {applied, reverted}, arrays of {version, name}
+ */
+exports.migrate = function(directory, options) {
+  const layer = this
+  options = options || {}
+  const table = options.table || 'migrations'
+  const result = {applied: [], reverted: []}
+  return Promise.resolve()
+      .then(function() {
+        const migrations = readMigrations(directory)
+        return withLock(layer, table, options.lockTimeout || 60000, () =>
+          createTable(layer, table)
+              .then(function() {
+                return layer.query(
+                    `SELECT version, checksum FROM ${wrapTable(layer, table)}`,
+                    null,
+                    plainRows
+                )
+              })
+              .then(function(rows) {
+                const {pending, reverting} = plan(migrations, rows, options.to)
+                return sequence(reverting, function(migration) {
+                  return revert(layer, table, migration).then(function() {
+                    result.reverted.push(describe(migration))
+                  })
+                }).then(function() {
+                  return sequence(pending, function(migration) {
+                    return apply(layer, table, migration).then(function() {
+                      result.applied.push(describe(migration))
+                    })
+                  })
+                })
+              })
+        )
+      })
+      .then(function() {
+        return result
+      })
+}
+
+const fileName = /^(\d+)(?:[_-](.*?))?(?:\.(up|down))?\.(sql|js)$/i
+
+function readMigrations(directory) {
+  const byVersion = {}
+  fs.readdirSync(directory)
+      .filter(file => fileName.test(file))
+      .forEach(function(file) {
+        const [, version, name = '', direction, extension] = fileName.exec(file)
+        const migration = (byVersion[version] = byVersion[version] || {
+          version,
+          name
+        })
+        const filePath = path.join(directory, file)
+        if (extension.toLowerCase() === 'js') {
+          assert(!migration.up, `Duplicated migration ${version}`)
+          const code = require(path.resolve(filePath))
+          assert(
+              typeof code.up === 'function',
+              `Migration ${file} should export an up function`
+          )
+          migration.file = file
+          migration.checksum = checksum(fs.readFileSync(filePath))
+          migration.up = code.up
+          migration.down = code.down
+          return
+        }
+        const script = fs.readFileSync(filePath, 'utf8')
+        if (direction && direction.toLowerCase() === 'down') {
+          assert(!migration.down, `Duplicated down migration ${version}`)
+          migration.down = script
+        } else {
+          assert(!migration.up, `Duplicated migration ${version}`)
+          migration.file = file
+          migration.checksum = checksum(script)
+          migration.up = script
+        }
+      })
+  return Object.keys(byVersion)
+      .map(function(version) {
+        const migration = byVersion[version]
+        assert(migration.up, `Migration ${version} has only a down script`)
+        return migration
+      })
+      .sort((a, b) => compareVersions(a.version, b.version))
+}
+
+function compareVersions(a, b) {
+  // Numerically, whatever the number of digits
+  a = a.replace(/^0+(?=\d)/, '')
+  b = b.replace(/^0+(?=\d)/, '')
+  if (a.length !== b.length) {
+    return a.length - b.length
+  }
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Find the migrations to be applied and the ones to be reverted, last first,
+ * to reach the target version, checking the applied ones were not changed
+ */
+function plan(migrations, rows, to) {
+  const applied = {}
+  rows.forEach(function(row) {
+    applied[row.version] = row.checksum
+  })
+  migrations.forEach(function(migration) {
+    const checksum = applied[migration.version]
+    if (checksum && checksum !== migration.checksum) {
+      throw new Error(`Migration ${migration.file} was changed after applied`)
+    }
+  })
+  if (to === void 0) {
+    to = migrations.length ? migrations[migrations.length - 1].version : '0'
+  }
+  to = String(to)
+  const pending = migrations.filter(
+      migration =>
+        !applied[migration.version] &&
+        compareVersions(migration.version, to) <= 0
+  )
+  const reverting = Object.keys(applied)
+      .filter(version => compareVersions(version, to) > 0)
+      .sort((a, b) => compareVersions(b, a))
+      .map(function(version) {
+        const migration = migrations.find(
+            migration => migration.version === version
+        )
+        if (!migration || !migration.down) {
+          throw new Error(`Migration ${version} has no down to be reverted`)
+        }
+        return migration
+      })
+  return {pending, reverting}
+}
+
+function sequence(items, fn) {
+  return items.reduce(
+      (promise, item) => promise.then(() => fn(item)),
+      Promise.resolve()
+  )
+}
+
+function checksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex')
+}
+
+function describe(migration) {
+  return {version: migration.version, name: migration.name}
+}
+
+/**
+ * Run fn holding an exclusive application lock, owned by a transaction open
+ * until fn ends
+ */
+function withLock(layer, table, lockTimeout, fn) {
+  return layer.beginTransaction().then(function(transaction) {
+    return layer
+        .query(
+            'DECLARE @result int; ' +
+            'EXEC @result = sp_getapplock @Resource = @lock_resource, ' +
+            '@LockMode = \'Exclusive\', @LockOwner = \'Transaction\', ' +
+            '@LockTimeout = @lock_timeout; SELECT @result AS result',
+            {
+              lock_resource: {value: 'migrations:' + table, type: 'string'},
+              lock_timeout: {value: lockTimeout, type: 'integer'}
+            },
+            {transaction, timeout: 0, prepare: false, ...plainRows}
+        )
+        .then(function([{result}]) {
+          if (result < 0) {
+            throw new Error(
+                `Could not get the lock to migrate, sp_getapplock returned ${result}`
+            )
+          }
+          return fn()
+        })
+        .then(
+            function(res) {
+              return layer.rollback(transaction).then(() => res)
+            },
+            function(err) {
+              return layer.rollback(transaction).then(function() {
+                throw err
+              })
+            }
+        )
+  })
+}
+
+function createTable(layer, table) {
+  return layer.query(
+      'IF OBJECT_ID(@table, \'U\') IS NULL ' +
+      `CREATE TABLE ${wrapTable(layer, table)} (` +
+      'version varchar(50) NOT NULL PRIMARY KEY, ' +
+      'name nvarchar(255) NOT NULL, checksum char(64) NOT NULL, ' +
+      'applied_at datetime2 NOT NULL DEFAULT SYSUTCDATETIME())',
+      {table: {value: table, type: 'string'}},
+      {prepare: false}
+  )
+}
+
+function apply(layer, table, migration) {
+  debug('applying migration %s', migration.file)
+  return layer.transaction(function(transaction) {
+    return run(layer, migration.up, transaction).then(function() {
+      return layer.insert(
+          table,
+          {
+            version: migration.version,
+            name: migration.name,
+            checksum: migration.checksum
+          },
+          {transaction}
+      )
+    })
+  })
+}
+
+function revert(layer, table, migration) {
+  debug('reverting migration %s', migration.file)
+  return layer.transaction(function(transaction) {
+    return run(layer, migration.down, transaction).then(function() {
+      return layer.delete(
+          table,
+          {version: migration.version},
+          {transaction}
+      )
+    })
+  })
+}
+
+function run(layer, script, transaction) {
+  return typeof script === 'function'
+    ? Promise.resolve(script(layer, {transaction}))
+    : layer.runScript(script, {transaction})
+}
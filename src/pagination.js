@@ -0,0 +1,151 @@
+const assert = require('assert')
+const wrapTable = require('./wrap-table')
+const {plainRows, rowTransform} = require('./rows')
+
+/**
+ * Pagination methods of the layer, by offset for pages shown to the users and
+ * by key for walking whole tables
+ */
+
+/**
+ * Fetch a page of a query, appending ORDER BY ... OFFSET ... FETCH NEXT ...
+ * to the statement
+ * @param statement {string} A SELECT without ORDER BY
+ * @param params {Array|object} Same as in query
+ * @param options {object} With orderBy, the ORDER BY expressions as a string
+ * or an array, that should be unique for the pages to be stable, limit, the
+ * page size, and optionally offset, the number of rows skipped, count, to also
+ * get the total number of rows, and the transaction connection
+ * @returns {Promise} With {rows, limit, offset, total}, total being undefined
+ * if count was not requested
+ */
+exports.paginate = function(statement, params, options) {
+  const layer = this
+  return Promise.resolve().then(function() {
+    options = options || {}
+    const orderBy = [].concat(options.orderBy || [])
+    assert(orderBy.length, 'The orderBy is required to paginate')
+    const limit = options.limit
+    const offset = options.offset || 0
+    assert(
+        Number.isInteger(limit) && limit > 0,
+        'The limit should be a positive integer'
+    )
+    assert(
+        Number.isInteger(offset) && offset >= 0,
+        'The offset should be a non negative integer'
+    )
+    let page
+    let pageParams
+    if (Array.isArray(params)) {
+      page =
+        `OFFSET $${params.length + 1} ROWS ` +
+        `FETCH NEXT $${params.length + 2} ROWS ONLY`
+      pageParams = params.concat([
+        {value: offset, type: 'integer'},
+        {value: limit, type: 'integer'}
+      ])
+    } else {
+      page = 'OFFSET @page_offset ROWS FETCH NEXT @page_limit ROWS ONLY'
+      pageParams = {
+        ...params,
+        page_offset: {value: offset, type: 'integer'},
+        page_limit: {value: limit, type: 'integer'}
+      }
+    }
+    // One after the other, as a transaction runs one request at a time
+    return layer
+        .query(
+            `${statement} ORDER BY ${orderBy.join(', ')} ${page}`,
+            pageParams,
+            options
+        )
+        .then(function(rows) {
+          return Promise.all([
+            rows,
+            options.count
+              ? layer.query(
+                  `SELECT COUNT_BIG(*) AS total FROM (${statement}) AS counted`,
+                  params,
+                  {...options, ...plainRows}
+              )
+              : null
+          ])
+        })
+        .then(function([rows, counted]) {
+          return {
+            rows,
+            limit,
+            offset,
+            total: counted ? Number(counted[0].total) : void 0
+          }
+        })
+  })
+}
+
+/**
+ * Iterate over all the rows of a table, reading them in batches ordered by a
+ * unique key, each batch starting after the last key read. Unlike OFFSET the
+ * cost of each batch does not grow with the position in the table
+ * @param table {string} The name, optionally qualified by the schema
+ * @param options {object} Can contain key, the unique column or columns to
+ * order by, by default the primary key, batchSize, the number of rows read at
+ * a time, default 1000, and the transaction connection
+ * @returns {AsyncIterator} Yielding each row, to be consumed with for await
+ */
+exports.iterate = async function *(table, options) {
+  options = options || {}
+  const batchSize = options.batchSize || 1000
+  assert(
+      Number.isInteger(batchSize) && batchSize > 0,
+      'The batchSize should be a positive integer'
+  )
+  let keys = [].concat(options.key || [])
+  if (keys.length === 0) {
+    const {primaryKey} = await this.describeTable(table, options)
+    assert(primaryKey, `Table ${table} has no primary key, set the key`)
+    keys = primaryKey.columns
+  }
+  const wrapped = keys.map(column => this.wrap(column))
+  const select = `SELECT TOP (@batch_size) * FROM ${wrapTable(this, table)}`
+  const orderBy = ` ORDER BY ${wrapped.join(', ')}`
+  // The keys are read from the rows as they come, before being transformed
+  const transform = rowTransform(this, options)
+  let last
+  for (;;) {
+    const params = {batch_size: {value: batchSize, type: 'integer'}}
+    let where = ''
+    if (last) {
+      // (a > @k0) OR (a = @k0 AND b > @k1)...
+      where =
+        ' WHERE ' +
+        keys
+            .map(function(column, index) {
+              params['k' + index] = last[column]
+              return (
+                '(' +
+                wrapped
+                    .slice(0, index)
+                    .map((previous, position) => `${previous} = @k${position}`)
+                    .concat(`${wrapped[index]} > @k${index}`)
+                    .join(' AND ') +
+                ')'
+              )
+            })
+            .join(' OR ')
+    }
+    const {rows, columns} = await this.query(select + where + orderBy, params, {
+      ...options,
+      ...plainRows,
+      result: 'full'
+    })
+    const toRow = transform ? transform(columns) : row => row
+    for (const row of rows) {
+      yield toRow(row)
+    }
+    if (rows.length < batchSize) {
+      return
+    }
+    last = rows[rows.length - 1]
+  }
+}
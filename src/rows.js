@@ -0,0 +1,135 @@
+const assert = require('assert')
+
+/**
+ * Transformation of the rows returned by the layer, set by rowMode and
+ * transformRow in the layer config and overridden in each call
+ */
+
+const settings = new WeakMap() // Hidden row settings of each layer
+
+// The options of the queries whose rows are read by the layer itself
+const plainRows = {rowMode: 'object', transformRow: null}
+
+/**
+ * Keep the row settings of a layer
+ * @param layer {MssqlCrLayer}
+ * @param config {object} With rowMode and transformRow
+ * @param useUTC {boolean} As in the mssql options, to format the dates
+ */
+function configure(layer, config, useUTC) {
+  const {rowMode, transformRow} = config
+  validate(rowMode, transformRow)
+  settings.set(layer, {rowMode, transformRow, useUTC})
+}
+
+function validate(rowMode, transformRow) {
+  assert(
+      rowMode === void 0 || rowMode === 'object' || rowMode === 'array',
+      `Unknown rowMode ${rowMode}, use object or array`
+  )
+  const {keys, dateOnly} = transformRow || {}
+  assert(
+      keys === void 0 || keys === 'camelCase' || typeof keys === 'function',
+      `Unknown keys ${keys}, use camelCase or a function`
+  )
+  assert(
+      dateOnly === void 0 || dateOnly === 'string',
+      `Unknown dateOnly ${dateOnly}, use string`
+  )
+}
+
+/**
+ * Check the rowMode and transformRow of a call before it runs, as they are
+ * otherwise only read once it has returned its rows
+ * @param options {object} The options of the call
+ */
+function validateOptions(options) {
+  if (options) {
+    validate(options.rowMode, options.transformRow)
+  }
+}
+
+/**
+ * The row transformation of a call
+ * @param layer {MssqlCrLayer}
+ * @param options {object} The options of the call, whose rowMode and
+ * transformRow replace the ones of the layer
+ * @returns {function|null} Receiving the columns of a recordset, as in the
+ * full result, and returning the function that transforms each of its rows,
+ * or null if the rows are returned as they are
+ */
+function rowTransform(layer, options) {
+  const defaults = settings.get(layer) || {}
+  const pick = name =>
+    options && options[name] !== void 0 ? options[name] : defaults[name]
+  const rowMode = pick('rowMode')
+  const transformRow = pick('transformRow')
+  validate(rowMode, transformRow)
+  if (rowMode !== 'array' && !transformRow) {
+    return null
+  }
+  const {keys, dateOnly, types = {}} = transformRow || {}
+  const toKey = keys === 'camelCase' ? camelCase : keys
+  const toDate = value => formatDate(value, defaults.useUTC)
+  return function(columns) {
+    const fields = columns.map(function(column) {
+      return {
+        name: column.name,
+        key: toKey ? toKey(column.name) : column.name,
+        convert:
+          types[column.type] ||
+          (column.type === 'date' && dateOnly === 'string' ? toDate : null),
+        column: {name: column.name, type: column.type}
+      }
+    })
+    return function(row) {
+      const values = fields.map(function(field) {
+        const value = row[field.name]
+        return field.convert && value !== null && value !== void 0
+          ? field.convert(value, field.column)
+          : value
+      })
+      if (rowMode === 'array') {
+        return values
+      }
+      const transformed = {}
+      fields.forEach(function(field, index) {
+        transformed[field.key] = values[index]
+      })
+      return transformed
+    }
+  }
+}
+
+// A column name in camel case, as first_name or FIRST_NAME to firstName
+function camelCase(name) {
+  const upper = name === name.toUpperCase()
+  const words = name
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+      .map(word => (upper ? word.toLowerCase() : word))
+  if (words.length === 0) {
+    return name
+  }
+  return words
+      .map(
+          (word, index) =>
+            (index ? word[0].toUpperCase() : word[0].toLowerCase()) +
+            word.slice(1)
+      )
+      .join('')
+}
+
+// The date of a date only column, that comes at midnight
+function formatDate(date, useUTC) {
+  const pad = (number, length) => String(number).padStart(length, '0')
+  return useUTC === false
+    ? `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1, 2)}-` +
+        pad(date.getDate(), 2)
+    : date.toISOString().slice(0, 10)
+}
+
+exports.plainRows = plainRows
+exports.configure = configure
+exports.validateOptions = validateOptions
+exports.rowTransform = rowTransform
@@ -0,0 +1,344 @@
+const {plainRows} = require('./rows')
+
+/**
+ * Schema introspection methods of the layer, reading the catalog views. The
+ * column types use the same vocabulary as the typed parameters so a column
+ * can be used as {...column, value} in a query
+ */
+
+/**
+ * List the tables of the database
+ * @param options {object} Can contain the transaction connection
+ * @returns {Promise} With [{schema, name}]
+ */
+exports.listTables = function(options) {
+  return this.query(
+      'SELECT TABLE_SCHEMA AS [schema], TABLE_NAME AS name ' +
+      'FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_TYPE = \'BASE TABLE\' ' +
+      'ORDER BY TABLE_SCHEMA, TABLE_NAME',
+      null,
+      {...options, ...plainRows}
+  )
+}
+
+/**
+ * List the views of the database
+ * @param options {object} Can contain the transaction connection
+ * @returns {Promise} With [{schema, name, definition}]
+ */
+exports.listViews = function(options) {
+  return this.query(
+      'SELECT s.name AS [schema], v.name AS name, ' +
+      'OBJECT_DEFINITION(v.object_id) AS definition FROM sys.views v ' +
+      'JOIN sys.schemas s ON s.schema_id = v.schema_id ' +
+      'ORDER BY s.name, v.name',
+      null,
+      {...options, ...plainRows}
+  )
+}
+
+/**
+ * Describe a table or view
+ * @param table {string} The name, optionally qualified by the schema
+ * @param options {object} Can contain the transaction connection
+ * @returns {Promise} With {schema, name, columns, primaryKey, constraints}.
+ * Each column has name, type, sqlType, maxLength, decimals, timezone,
+ * nullable, default, identity, computed and primaryKey. Each constraint has
+ * name, type (primary key, unique, check, foreign key or default), columns
+ * and the definition of checks and defaults
+ */
+exports.describeTable = function(table, options) {
+  const layer = this
+  let object
+  let columns
+  return findObject(layer, table, options)
+      .then(function(found) {
+        object = found
+        return layer.query(
+            'SELECT c.name, ty.name AS sqlType, c.max_length AS length, ' +
+            'c.precision, c.scale, c.is_nullable AS nullable, ' +
+            'c.is_identity AS [identity], c.is_computed AS computed, ' +
+            'd.definition AS [default], CAST(CASE WHEN ic.column_id IS NULL ' +
+            'THEN 0 ELSE 1 END AS bit) AS primaryKey ' +
+            'FROM sys.columns c ' +
+            'JOIN sys.types ty ON ty.user_type_id = c.user_type_id ' +
+            'LEFT JOIN sys.default_constraints d ' +
+            'ON d.object_id = c.default_object_id ' +
+            'LEFT JOIN sys.indexes i ' +
+            'ON i.object_id = c.object_id AND i.is_primary_key = 1 ' +
+            'LEFT JOIN sys.index_columns ic ON ic.object_id = i.object_id ' +
+            'AND ic.index_id = i.index_id AND ic.column_id = c.column_id ' +
+            'WHERE c.object_id = @id ORDER BY c.column_id',
+            {id: {value: object.id, type: 'integer'}},
+            {...options, ...plainRows}
+        )
+      })
+      .then(function(rows) {
+        columns = rows.map(toColumn)
+        return layer.query(
+            'SELECT k.name, CASE k.type WHEN \'PK\' THEN \'primary key\' ' +
+            'ELSE \'unique\' END AS type, c.name AS [column], ' +
+            'CAST(NULL AS nvarchar(max)) AS definition, ' +
+            'ic.key_ordinal AS position ' +
+            'FROM sys.key_constraints k ' +
+            'JOIN sys.index_columns ic ON ic.object_id = k.parent_object_id ' +
+            'AND ic.index_id = k.unique_index_id ' +
+            'JOIN sys.columns c ON c.object_id = ic.object_id ' +
+            'AND c.column_id = ic.column_id ' +
+            'WHERE k.parent_object_id = @id ' +
+            'UNION ALL SELECT k.name, \'check\', c.name, k.definition, 0 ' +
+            'FROM sys.check_constraints k LEFT JOIN sys.columns c ' +
+            'ON c.object_id = k.parent_object_id ' +
+            'AND c.column_id = k.parent_column_id ' +
+            'WHERE k.parent_object_id = @id ' +
+            'UNION ALL SELECT k.name, \'foreign key\', c.name, NULL, ' +
+            'fc.constraint_column_id FROM sys.foreign_keys k ' +
+            'JOIN sys.foreign_key_columns fc ' +
+            'ON fc.constraint_object_id = k.object_id ' +
+            'JOIN sys.columns c ON c.object_id = fc.parent_object_id ' +
+            'AND c.column_id = fc.parent_column_id ' +
+            'WHERE k.parent_object_id = @id ' +
+            'UNION ALL SELECT k.name, \'default\', c.name, k.definition, 0 ' +
+            'FROM sys.default_constraints k JOIN sys.columns c ' +
+            'ON c.object_id = k.parent_object_id ' +
+            'AND c.column_id = k.parent_column_id ' +
+            'WHERE k.parent_object_id = @id ' +
+            'ORDER BY name, position',
+            {id: {value: object.id, type: 'integer'}},
+            {...options, ...plainRows}
+        )
+      })
+      .then(function(rows) {
+        const constraints = group(rows, row => ({
+          name: row.name,
+          type: row.type,
+          columns: [],
+          definition: row.definition || void 0
+        })).map(function({item, rows}) {
+          item.columns = rows
+              .map(row => row.column)
+              .filter(column => column !== null)
+          return item
+        })
+        const primaryKey = constraints.find(
+            constraint => constraint.type === 'primary key'
+        )
+        return {
+          schema: object.schema,
+          name: object.name,
+          columns,
+          primaryKey: primaryKey
+            ? {name: primaryKey.name, columns: primaryKey.columns}
+            : null,
+          constraints
+        }
+      })
+}
+
+/**
+ * List the indexes of a table
+ * @param table {string} The name, optionally qualified by the schema
+ * @param options {object} Can contain the transaction connection
+ * @returns {Promise} With [{name, unique, primaryKey, clustered, columns,
+ * included}], where each column is {name, descending}
+ */
+exports.listIndexes = function(table, options) {
+  const layer = this
+  return findObject(layer, table, options)
+      .then(function(object) {
+        return layer.query(
+            'SELECT i.name, i.is_unique AS [unique], ' +
+            'i.is_primary_key AS primaryKey, ' +
+            'CAST(CASE i.type WHEN 1 THEN 1 ELSE 0 END AS bit) AS clustered, ' +
+            'c.name AS [column], ic.is_descending_key AS descending, ' +
+            'ic.is_included_column AS included ' +
+            'FROM sys.indexes i JOIN sys.index_columns ic ' +
+            'ON ic.object_id = i.object_id AND ic.index_id = i.index_id ' +
+            'JOIN sys.columns c ON c.object_id = ic.object_id ' +
+            'AND c.column_id = ic.column_id ' +
+            'WHERE i.object_id = @id AND i.name IS NOT NULL ' +
+            'ORDER BY i.name, ic.is_included_column, ic.key_ordinal, ' +
+            'ic.index_column_id',
+            {id: {value: object.id, type: 'integer'}},
+            {...options, ...plainRows}
+        )
+      })
+      .then(function(rows) {
+        return group(rows, row => ({
+          name: row.name,
+          unique: row.unique,
+          primaryKey: row.primaryKey,
+          clustered: row.clustered
+        })).map(function({item, rows}) {
+          item.columns = rows
+              .filter(row => !row.included)
+              .map(row => ({name: row.column, descending: row.descending}))
+          item.included = rows
+              .filter(row => row.included)
+              .map(row => row.column)
+          return item
+        })
+      })
+}
+
+/**
+ * List the foreign keys of a table
+ * @param table {string} The name, optionally qualified by the schema
+ * @param options {object} Can contain the transaction connection
+ * @returns {Promise} With [{name, columns, referencedTable: {schema, name},
+ * referencedColumns, onDelete, onUpdate}]
+ */
+exports.listForeignKeys = function(table, options) {
+  const layer = this
+  return findObject(layer, table, options)
+      .then(function(object) {
+        return layer.query(
+            'SELECT k.name, c.name AS [column], ' +
+            'OBJECT_SCHEMA_NAME(k.referenced_object_id) AS referencedSchema, ' +
+            'OBJECT_NAME(k.referenced_object_id) AS referencedTable, ' +
+            'rc.name AS referencedColumn, ' +
+            'k.delete_referential_action_desc AS onDelete, ' +
+            'k.update_referential_action_desc AS onUpdate ' +
+            'FROM sys.foreign_keys k JOIN sys.foreign_key_columns fc ' +
+            'ON fc.constraint_object_id = k.object_id ' +
+            'JOIN sys.columns c ON c.object_id = fc.parent_object_id ' +
+            'AND c.column_id = fc.parent_column_id ' +
+            'JOIN sys.columns rc ON rc.object_id = fc.referenced_object_id ' +
+            'AND rc.column_id = fc.referenced_column_id ' +
+            'WHERE k.parent_object_id = @id ' +
+            'ORDER BY k.name, fc.constraint_column_id',
+            {id: {value: object.id, type: 'integer'}},
+            {...options, ...plainRows}
+        )
+      })
+      .then(function(rows) {
+        return group(rows, row => ({
+          name: row.name,
+          columns: [],
+          referencedTable: {
+            schema: row.referencedSchema,
+            name: row.referencedTable
+          },
+          referencedColumns: [],
+          onDelete: toAction(row.onDelete),
+          onUpdate: toAction(row.onUpdate)
+        })).map(function({item, rows}) {
+          item.columns = rows.map(row => row.column)
+          item.referencedColumns = rows.map(row => row.referencedColumn)
+          return item
+        })
+      })
+}
+
+function findObject(layer, table, options) {
+  return layer
+      .query(
+          'SELECT OBJECT_ID(@table) AS id, ' +
+          'OBJECT_SCHEMA_NAME(OBJECT_ID(@table)) AS [schema], ' +
+          'OBJECT_NAME(OBJECT_ID(@table)) AS name',
+          {table: {value: table, type: 'string', maxLength: 776}},
+          {...options, ...plainRows}
+      )
+      .then(function([object]) {
+        if (!object || object.id === null) {
+          throw new Error(`Table ${table} not found`)
+        }
+        return object
+      })
+}
+
+/**
+ * Group consecutive rows with the same name
+ */
+function group(rows, createItem) {
+  const groups = []
+  rows.forEach(function(row) {
+    const last = groups[groups.length - 1]
+    if (last && last.item.name === row.name) {
+      last.rows.push(row)
+    } else {
+      groups.push({item: createItem(row), rows: [row]})
+    }
+  })
+  return groups
+}
+
+function toAction(action) {
+  return action.replace(/_/g, ' ').toLowerCase()
+}
+
+function toColumn(row) {
+  const column = {
+    name: row.name,
+    sqlType: row.sqlType,
+    nullable: row.nullable,
+    default: row.default !== null ? row.default : void 0,
+    identity: row.identity,
+    computed: row.computed,
+    primaryKey: row.primaryKey
+  }
+  switch (row.sqlType) {
+    case 'int':
+      column.type = 'integer'
+      break
+    case 'bigint':
+    case 'smallint':
+    case 'tinyint':
+    case 'float':
+    case 'real':
+    case 'date':
+    case 'xml':
+    case 'varbinary':
+      column.type = row.sqlType
+      break
+    case 'decimal':
+    case 'numeric':
+      column.type = 'number'
+      column.maxLength = row.precision
+      column.decimals = row.scale
+      break
+    case 'money':
+    case 'smallmoney':
+      column.type = 'money'
+      break
+    case 'bit':
+      column.type = 'boolean'
+      break
+    case 'time':
+      column.type = 'time'
+      column.decimals = row.scale
+      break
+    case 'datetime':
+    case 'datetime2':
+    case 'smalldatetime':
+      column.type = 'datetime'
+      break
+    case 'datetimeoffset':
+      column.type = 'datetime'
+      column.timezone = true
+      break
+    case 'uniqueidentifier':
+      column.type = 'uuid'
+      break
+    case 'binary':
+    case 'image':
+      column.type = row.sqlType === 'binary' ? 'binary' : 'varbinary'
+      break
+    case 'varchar':
+    case 'char':
+    case 'text':
+      column.type = 'varchar'
+      break
+    default:
+      column.type = 'string'
+  }
+  if (row.length !== -1) {
+    // -1 is max and the unicode lengths are in bytes
+    if (/^(var)?(char|binary)$/.test(row.sqlType)) {
+      column.maxLength = row.length
+    } else if (/^n(var)?char$/.test(row.sqlType)) {
+      column.maxLength = row.length / 2
+    }
+  }
+  return column
+}
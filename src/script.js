@@ -0,0 +1,50 @@
+const tokenize = require('./tokenizer')
+
+/**
+ * Split a script in the batches separated by GO lines, as sqlcmd and SSMS do.
+ * A GO inside a string, a quoted identifier or a comment is not a separator,
+ * and a GO line can have a count, GO 5, to run the batch that many times
+ * @param script {string}
+ * @returns {Array} Of {text, line, count}, where line is the line of the
+ * script where the batch starts, counting from 1. Batches with only blanks
+ * are left out
+ */
+function splitScript(script) {
+  // The same script with the strings, identifiers and comments blanked out,
+  // keeping the positions and the line breaks, so only code is matched
+  const masked = tokenize(script)
+      .map(function(token) {
+        if (token.type === 'code') {
+          return token.text
+        }
+        return token.text.replace(
+            /[^\n]/g,
+            token.type === 'comment' ? ' ' : 'x'
+        )
+      })
+      .join('')
+  const batches = []
+  let start = 0
+  let startLine = 1
+  let position = 0
+  const push = (end, count) => {
+    const text = script.substring(start, end)
+    if (text.trim()) {
+      batches.push({text, line: startLine, count})
+    }
+  }
+  masked.split('\n').forEach(function(line, index) {
+    const next = position + line.length + 1
+    const match = /^\s*go(?:\s+(\d+))?\s*$/i.exec(line)
+    if (match) {
+      push(position, match[1] ? Number(match[1]) : 1)
+      start = Math.min(next, script.length)
+      startLine = index + 2
+    }
+    position = next
+  })
+  push(script.length, 1)
+  return batches
+}
+
+module.exports = splitScript
@@ -0,0 +1,67 @@
+/**
+ * Split a T-SQL text in tokens of code, strings, quoted identifiers and
+ * comments, so the code can be rewritten without touching the others
+ * @param sql {string}
+ * @returns {Array} Of {type, text}, where type is code, string, identifier
+ * or comment. Joining all the texts gives back the original sql
+ */
+function tokenize(sql) {
+  const tokens = []
+  let code = ''
+  let i = 0
+  const push = (type, end) => {
+    if (code) {
+      tokens.push({type: 'code', text: code})
+      code = ''
+    }
+    tokens.push({type, text: sql.substring(i, end)})
+    i = end
+  }
+  const closing = (close, from) => {
+    // Find the closing delimiter, skipping the doubled ones used as escape
+    let end = sql.indexOf(close, from)
+    while (end !== -1 && sql[end + 1] === close) {
+      end = sql.indexOf(close, end + 2)
+    }
+    return end === -1 ? sql.length : end + 1
+  }
+  while (i < sql.length) {
+    const char = sql[i]
+    const next = sql[i + 1]
+    if (char === '\'') {
+      push('string', closing('\'', i + 1))
+    } else if (char === '[') {
+      push('identifier', closing(']', i + 1))
+    } else if (char === '"') {
+      push('identifier', closing('"', i + 1))
+    } else if (char === '-' && next === '-') {
+      const end = sql.indexOf('\n', i)
+      push('comment', end === -1 ? sql.length : end)
+    } else if (char === '/' && next === '*') {
+      // Block comments can be nested in T-SQL
+      let depth = 0
+      let end = i
+      do {
+        if (sql[end] === '/' && sql[end + 1] === '*') {
+          depth++
+          end += 2
+        } else if (sql[end] === '*' && sql[end + 1] === '/') {
+          depth--
+          end += 2
+        } else {
+          end++
+        }
+      } while (depth > 0 && end < sql.length)
+      push('comment', Math.min(end, sql.length))
+    } else {
+      code += char
+      i++
+    }
+  }
+  if (code) {
+    tokens.push({type: 'code', text: code})
+  }
+  return tokens
+}
+
+module.exports = tokenize
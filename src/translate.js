@@ -0,0 +1,674 @@
+const tokenize = require('./tokenizer')
+
+/**
+ * Translation of the PostgreSQL syntax shared with pg-cr-layer to T-SQL. The
+ * statement is parsed in a tree of nodes, each parenthesis being a group, so
+ * each clause is rewritten in its own subquery
+ */
+
+// The lexemes of the code, by type
+const lexemeTypes = [
+  ['space', '\\s+'],
+  ['dollar', '\\$(?:[A-Za-z_]\\w*)?\\$'],
+  ['param', '@@\\w+|\\$\\d+|[@:][A-Za-z_]\\w*'],
+  ['op', '::|\\|\\||->>?|#>>?|\\?[|&]?|!~\\*?|~\\*?'],
+  ['word', '[A-Za-z_][\\w$]*'],
+  ['number', '\\d+(?:\\.\\d*)?(?:[eE][+-]?\\d+)?|\\.\\d+(?:[eE][+-]?\\d+)?'],
+  ['punct', '[(),;.]'],
+  ['op', '.']
+]
+
+const lexemes = new RegExp(
+    lexemeTypes.map(([, pattern]) => `(${pattern})`).join('|'),
+    'g'
+)
+
+// Words that can not be a column or a function name
+const keywords = new Set([
+  'ALL',
+  'AND',
+  'ANY',
+  'AS',
+  'BETWEEN',
+  'BY',
+  'CASE',
+  'DISTINCT',
+  'ELSE',
+  'END',
+  'EXCEPT',
+  'EXISTS',
+  'FROM',
+  'HAVING',
+  'ILIKE',
+  'IN',
+  'INTERSECT',
+  'INTO',
+  'IS',
+  'JOIN',
+  'LIKE',
+  'LIMIT',
+  'NOT',
+  'OFFSET',
+  'ON',
+  'OR',
+  'RETURNING',
+  'SELECT',
+  'SET',
+  'SOME',
+  'THEN',
+  'UNION',
+  'USING',
+  'VALUES',
+  'WHEN',
+  'WHERE'
+])
+
+// PostgreSQL types to SQL Server types, the ones without length getting the
+// length of the PostgreSQL type
+const types = {
+  smallint: 'smallint',
+  int2: 'smallint',
+  integer: 'int',
+  int: 'int',
+  int4: 'int',
+  bigint: 'bigint',
+  int8: 'bigint',
+  real: 'real',
+  float4: 'real',
+  'double precision': 'float',
+  float8: 'float',
+  float: 'float',
+  numeric: 'decimal',
+  decimal: 'decimal',
+  boolean: 'bit',
+  bool: 'bit',
+  text: 'nvarchar(max)',
+  varchar: 'nvarchar',
+  'character varying': 'nvarchar',
+  char: 'nchar',
+  character: 'nchar',
+  date: 'date',
+  time: 'time',
+  'time without time zone': 'time',
+  timestamp: 'datetime2',
+  'timestamp without time zone': 'datetime2',
+  timestamptz: 'datetimeoffset',
+  'timestamp with time zone': 'datetimeoffset',
+  uuid: 'uniqueidentifier',
+  json: 'nvarchar(max)',
+  jsonb: 'nvarchar(max)',
+  bytea: 'varbinary(max)'
+}
+
+// Constructs without a translation, failing instead of running with another
+// meaning
+const unsupported = [
+  ['DISTINCT', 'ON'],
+  ['ON', 'CONFLICT'],
+  ['SIMILAR', 'TO'],
+  ['NULLS', 'FIRST'],
+  ['NULLS', 'LAST'],
+  ['IS', 'TRUE'],
+  ['IS', 'FALSE'],
+  ['IS', 'NOT', 'TRUE'],
+  ['IS', 'NOT', 'FALSE'],
+  ['FOR', 'UPDATE'],
+  ['FOR', 'NO', 'KEY', 'UPDATE'],
+  ['FOR', 'SHARE'],
+  ['FOR', 'KEY', 'SHARE']
+]
+
+/**
+ * Translate a statement written for PostgreSQL to SQL Server: LIMIT and
+ * OFFSET to OFFSET ... FETCH NEXT, RETURNING to OUTPUT, ::type casts to CAST,
+ * ILIKE to a LIKE of the lower cased operands, = ANY (...) to IN (...), TRUE
+ * and FALSE to bits, || to + and "quoted" identifiers to [brackets]. The
+ * parameters are kept, to be
+ * converted as in the statements not translated
+ * @param statement {string}
+ * @param dialect {string} Only pg
+ * @returns {string}
+ * @throws {Error} When the statement has a construct that can not be
+ * translated
+ */
+function translate(statement, dialect) {
+  if (dialect !== 'pg') {
+    throw new Error(`Unknown dialect ${dialect} to translate from, use pg`)
+  }
+  return text(translateNodes(parse(statement)))
+}
+
+function fail(construct, reason) {
+  throw new Error(
+      `Cannot translate ${construct} to SQL Server${reason ? ', ' + reason : ''}`
+  )
+}
+
+function parse(statement) {
+  const root = []
+  const stack = [root]
+  const add = node => stack[stack.length - 1].push(node)
+  tokenize(statement).forEach(function(token) {
+    if (token.type === 'identifier' && token.text[0] === '"') {
+      const name = token.text.slice(1, -1).replace(/""/g, '"')
+      add({type: 'identifier', text: `[${name.replace(/]/g, ']]')}]`})
+      return
+    }
+    if (token.type !== 'code') {
+      const nodes = stack[stack.length - 1]
+      const last = nodes[nodes.length - 1]
+      if (token.type === 'string' && last && /^[eE]$/.test(last.text)) {
+        fail(`the escape string E${token.text}`)
+      }
+      add(token)
+      return
+    }
+    lexemes.lastIndex = 0
+    let match
+    while ((match = lexemes.exec(token.text))) {
+      const group = match.findIndex((text, index) => index && text)
+      const type = lexemeTypes[group - 1][0]
+      const text = match[0]
+      if (type === 'dollar') {
+        fail(`the dollar quoted string ${text}`)
+      }
+      if (text === '(') {
+        const group = {type: 'group', nodes: []}
+        add(group)
+        stack.push(group.nodes)
+      } else if (text === ')') {
+        if (stack.length === 1) {
+          fail('an unbalanced )')
+        }
+        stack.pop()
+      } else if (text === '||') {
+        add({type: 'op', text: '+', concat: true})
+      } else {
+        add({type, text})
+      }
+    }
+  })
+  if (stack.length > 1) {
+    fail('an unbalanced (')
+  }
+  return root
+}
+
+function text(nodes) {
+  return nodes
+      .map(node =>
+        node.type === 'group' ? `(${text(node.nodes)})` : node.text
+      )
+      .join('')
+}
+
+function raw(text) {
+  return {type: 'raw', text}
+}
+
+function translateNodes(nodes) {
+  nodes.forEach(function(node) {
+    if (node.type === 'group') {
+      node.nodes = translateNodes(node.nodes)
+    }
+  })
+  const statements = [[]]
+  nodes.forEach(function(node) {
+    if (node.type === 'punct' && node.text === ';') {
+      statements.push([])
+    } else {
+      statements[statements.length - 1].push(node)
+    }
+  })
+  return statements
+      .map(function(statement) {
+        checkSupported(statement)
+        return [
+          translateBooleans,
+          translateCasts,
+          translateIlike,
+          translateAny,
+          translateLimit,
+          translateReturning
+        ].reduce((nodes, step) => step(nodes), statement)
+      })
+      .reduce((translated, statement, index) =>
+        translated.concat(index ? [{type: 'punct', text: ';'}] : [], statement)
+      )
+}
+
+const isBlank = node => node.type === 'space' || node.type === 'comment'
+
+const isWord = (node, ...words) =>
+  Boolean(node) &&
+  node.type === 'word' &&
+  words.indexOf(node.text.toUpperCase()) !== -1
+
+const isName = node =>
+  Boolean(node) &&
+  (node.type === 'identifier' ||
+    (node.type === 'word' && !keywords.has(node.text.toUpperCase())))
+
+const isDot = node =>
+  Boolean(node) && node.type === 'punct' && node.text === '.'
+
+const isOperand = node =>
+  isName(node) ||
+  ['string', 'number', 'param', 'raw', 'group'].indexOf(node && node.type) !==
+    -1
+
+function next(nodes, index) {
+  let i = index + 1
+  while (i < nodes.length && isBlank(nodes[i])) {
+    i++
+  }
+  return i
+}
+
+function previous(nodes, index) {
+  let i = index - 1
+  while (i >= 0 && isBlank(nodes[i])) {
+    i--
+  }
+  return i
+}
+
+function checkSupported(nodes) {
+  nodes.forEach(function(node, index) {
+    if (node.type === 'op' && /^(?:~\*|!~\*?)$/.test(node.text)) {
+      fail(`the regular expression operator ${node.text}`)
+    }
+    // In PostgreSQL ? is a jsonb operator, the parameters being $1, $2...
+    if (node.type === 'op' && /^(?:(?:->|#>)>?|\?[|&]?)$/.test(node.text)) {
+      fail(`the JSON operator ${node.text}`)
+    }
+    const following = nodes[next(nodes, index)] || {}
+    if (isWord(node, 'INTERVAL') && following.type === 'string') {
+      fail(`the interval ${following.text}`)
+    }
+    if (isWord(node, 'NOW') && following.type === 'group') {
+      fail('now()', 'use CURRENT_TIMESTAMP')
+    }
+    if (
+      node.type === 'op' &&
+      node.text === '~' &&
+      (nodes[next(nodes, index)] || {}).type === 'string'
+    ) {
+      fail('the regular expression operator ~')
+    }
+    unsupported.forEach(function(words) {
+      let i = index
+      const matches = words.every(function(word, position) {
+        if (position) {
+          i = next(nodes, i)
+        }
+        return isWord(nodes[i], word)
+      })
+      if (matches) {
+        fail(words.join(' '))
+      }
+    })
+  })
+}
+
+// The first node of the operand ending at index, including qualified names
+// and function calls, or -1 if there is no operand
+function startOfOperand(nodes, index) {
+  const node = nodes[index]
+  if (!isOperand(node)) {
+    return -1
+  }
+  let start = index
+  if (node.type === 'group') {
+    if (!isName(nodes[start - 1])) {
+      return start
+    }
+    start--
+  }
+  while (isDot(nodes[start - 1]) && isName(nodes[start - 2])) {
+    start -= 2
+  }
+  return start
+}
+
+// The last node of the operand starting at index, or -1 if there is none
+function endOfOperand(nodes, index) {
+  const node = nodes[index]
+  if (!isOperand(node)) {
+    return -1
+  }
+  let end = index
+  if (node.type === 'group') {
+    return end
+  }
+  while (isDot(nodes[end + 1]) && isName(nodes[end + 2])) {
+    end += 2
+  }
+  if (isName(nodes[end]) && nodes[end + 1] && nodes[end + 1].type === 'group') {
+    end++
+  }
+  return end
+}
+
+// The operands joined by || are a single operand of ILIKE
+const isConcat = node => Boolean(node) && node.concat === true
+
+function startOfExpression(nodes, index) {
+  let start = startOfOperand(nodes, index)
+  while (start !== -1 && isConcat(nodes[previous(nodes, start)])) {
+    start = startOfOperand(nodes, previous(nodes, previous(nodes, start)))
+  }
+  return start
+}
+
+function endOfExpression(nodes, index) {
+  let end = endOfOperand(nodes, index)
+  while (end !== -1 && isConcat(nodes[next(nodes, end)])) {
+    end = endOfOperand(nodes, next(nodes, next(nodes, end)))
+  }
+  return end
+}
+
+function translateBooleans(nodes) {
+  return nodes.map(function(node) {
+    if (isWord(node, 'TRUE', 'FALSE')) {
+      return raw(`CAST(${isWord(node, 'TRUE') ? 1 : 0} AS bit)`)
+    }
+    return node
+  })
+}
+
+function translateCasts(nodes) {
+  let index
+  while ((index = nodes.findIndex(node => node.text === '::')) !== -1) {
+    const end = previous(nodes, index)
+    const start = startOfOperand(nodes, end)
+    if (start === -1) {
+      fail(`the cast ${text(nodes.slice(0, index + 1)).trim()}`)
+    }
+    const type = parseType(nodes, next(nodes, index))
+    nodes = nodes
+        .slice(0, start)
+        .concat(
+            raw(`CAST(${text(nodes.slice(start, end + 1))} AS ${type.name})`),
+            nodes.slice(type.end + 1)
+        )
+  }
+  return nodes
+}
+
+// The SQL Server type starting at index, with the index of its last node
+function parseType(nodes, index) {
+  const words = []
+  let i = index
+  while (nodes[i] && nodes[i].type === 'word' && words.length < 4) {
+    words.push({text: nodes[i].text.toLowerCase(), end: i})
+    i = next(nodes, i)
+  }
+  const nameOf = length =>
+    words
+        .slice(0, length)
+        .map(word => word.text)
+        .join(' ')
+  let length = words.length
+  while (length && !types[nameOf(length)]) {
+    length--
+  }
+  if (!length) {
+    fail(`the cast to ${words.length ? words[0].text : 'nothing'}`)
+  }
+  const pgType = nameOf(length)
+  let name = types[pgType]
+  let end = words[length - 1].end
+  const args = next(nodes, end)
+  if (nodes[args] && nodes[args].type === 'group') {
+    if (/\(/.test(name)) {
+      fail(`the cast to ${pgType}${text([nodes[args]])}`)
+    }
+    name += text([nodes[args]])
+    end = args
+  } else if (name === 'nvarchar') {
+    name = 'nvarchar(max)'
+  }
+  const array = nodes[next(nodes, end)]
+  if (array && array.type === 'identifier' && array.text[0] === '[') {
+    fail(`the cast to the array ${pgType}[]`)
+  }
+  return {name, end}
+}
+
+function translateIlike(nodes) {
+  let index
+  while ((index = nodes.findIndex(node => isWord(node, 'ILIKE'))) !== -1) {
+    const before = previous(nodes, index)
+    const negated = isWord(nodes[before], 'NOT')
+    const leftEnd = negated ? previous(nodes, before) : before
+    const start = startOfExpression(nodes, leftEnd)
+    const rightStart = next(nodes, index)
+    const end = endOfExpression(nodes, rightStart)
+    if (start === -1 || end === -1) {
+      fail(`the ILIKE in ${text(nodes).trim()}`)
+    }
+    const left = text(nodes.slice(start, leftEnd + 1))
+    const right = text(nodes.slice(rightStart, end + 1))
+    nodes = nodes
+        .slice(0, start)
+        .concat(
+            raw(`LOWER(${left}) ${negated ? 'NOT ' : ''}LIKE LOWER(${right})`),
+            nodes.slice(end + 1)
+        )
+  }
+  return nodes
+}
+
+// The set of ANY is the parameter expanded to a list, or a subquery
+function translateAny(nodes) {
+  let index
+  while (
+    (index = nodes.findIndex(
+        (node, index) =>
+          isWord(node, 'ANY', 'SOME') &&
+          (nodes[previous(nodes, index)] || {}).text === '=' &&
+          (nodes[next(nodes, index)] || {}).type === 'group'
+    )) !== -1
+  ) {
+    const operator = previous(nodes, index)
+    const spaced = operator > 0 && isBlank(nodes[operator - 1])
+    nodes = nodes
+        .slice(0, operator)
+        .concat(raw(spaced ? 'IN ' : ' IN '), nodes.slice(next(nodes, index)))
+  }
+  return nodes
+}
+
+function translateLimit(nodes) {
+  const clauses = []
+  let limit
+  let offset
+  // Not the columns named limit or offset, as in t.limit
+  const isClause = (node, index, ...words) =>
+    isWord(node, ...words) && !isDot(nodes[previous(nodes, index)])
+  const hasLimit = nodes.some((node, index) => isClause(node, index, 'LIMIT'))
+  const hasOffset = nodes.some((node, index) =>
+    isClause(node, index, 'OFFSET')
+  )
+  nodes.forEach(function(node, index) {
+    if (isClause(node, index, 'FETCH') && !hasOffset) {
+      // Not the FETCH NEXT FROM of a cursor
+      const row = next(nodes, index)
+      if (
+        isWord(nodes[row], 'FIRST', 'NEXT') &&
+        !isWord(nodes[next(nodes, row)], 'FROM', 'IN')
+      ) {
+        fail('FETCH without OFFSET', 'add OFFSET 0 ROWS before it')
+      }
+    }
+    if (!isClause(node, index, 'LIMIT', 'OFFSET')) {
+      return
+    }
+    const valueStart = next(nodes, index)
+    const isLimit = isWord(node, 'LIMIT')
+    if (isLimit && isWord(nodes[valueStart], 'ALL')) {
+      clauses.push({start: index, end: valueStart})
+      return
+    }
+    let valueEnd = endOfOperand(nodes, valueStart)
+    if (valueEnd === -1) {
+      fail(`the ${node.text.toUpperCase()} in ${text(nodes).trim()}`)
+    }
+    const value = text(nodes.slice(valueStart, valueEnd + 1))
+    if (!isLimit && isWord(nodes[next(nodes, valueEnd)], 'ROW', 'ROWS')) {
+      if (!hasLimit) {
+        // Already in the standard syntax
+        return
+      }
+      valueEnd = next(nodes, valueEnd)
+    }
+    if (isLimit) {
+      limit = value
+    } else {
+      offset = value
+    }
+    clauses.push({start: index, end: valueEnd})
+  })
+  if (clauses.length === 0) {
+    return nodes
+  }
+  // LIMIT ALL alone is no limit at all
+  const paged = limit !== void 0 || offset !== void 0
+  const ordered = nodes.some(
+      (node, index) =>
+        isWord(node, 'ORDER') && isWord(nodes[next(nodes, index)], 'BY')
+  )
+  const fetch =
+    (ordered ? '' : 'ORDER BY (SELECT NULL) ') +
+    `OFFSET ${offset || 0} ROWS` +
+    (limit ? ` FETCH NEXT ${limit} ROWS ONLY` : '')
+  const removed = new Set()
+  clauses.forEach(function({start, end}, position) {
+    // The blanks before the clause go along with it, except in the first one
+    // that is replaced
+    while (
+      (position || !paged) &&
+      start > 0 &&
+      nodes[start - 1].type === 'space'
+    ) {
+      start--
+    }
+    for (let i = start; i <= end; i++) {
+      removed.add(i)
+    }
+  })
+  const at = clauses[0].start
+  return nodes.reduce(function(translated, node, index) {
+    if (index === at && paged) {
+      translated.push(raw(fetch))
+    }
+    if (!removed.has(index)) {
+      translated.push(node)
+    }
+    return translated
+  }, [])
+}
+
+function translateReturning(nodes) {
+  const index = nodes.findIndex(node => isWord(node, 'RETURNING'))
+  if (index === -1) {
+    return nodes
+  }
+  const command = nodes.findIndex(node =>
+    isWord(node, 'INSERT', 'UPDATE', 'DELETE')
+  )
+  if (command === -1 || command > index) {
+    fail('RETURNING outside INSERT, UPDATE or DELETE')
+  }
+  const verb = nodes[command].text.toUpperCase()
+  const prefix = verb === 'DELETE' ? 'DELETED' : 'INSERTED'
+  const columns = [[]]
+  nodes.slice(index + 1).forEach(function(node) {
+    if (node.type === 'punct' && node.text === ',') {
+      columns.push([])
+    } else {
+      columns[columns.length - 1].push(node)
+    }
+  })
+  const output =
+    'OUTPUT ' + columns.map(column => outputColumn(prefix, column)).join(', ')
+  let end = index
+  while (end > 0 && isBlank(nodes[end - 1])) {
+    end--
+  }
+  nodes = nodes.slice(0, end)
+  const position = outputPosition(nodes, verb, command)
+  if (position === -1) {
+    return nodes.concat(raw(' ' + output))
+  }
+  return nodes
+      .slice(0, position)
+      .concat(raw(output + ' '), nodes.slice(position))
+}
+
+function outputColumn(prefix, column) {
+  const nodes = column.filter(node => !isBlank(node))
+  let i = 0
+  let name
+  if (nodes[0] && nodes[0].text === '*') {
+    name = '*'
+    i = 1
+  } else if (isName(nodes[0])) {
+    // Without the qualifier, as the table is the one changed
+    while (
+      isDot(nodes[i + 1]) &&
+      (isName(nodes[i + 2]) || (nodes[i + 2] && nodes[i + 2].text === '*'))
+    ) {
+      i += 2
+    }
+    name = nodes[i].text
+    i++
+  }
+  let alias = ''
+  if (name && isWord(nodes[i], 'AS')) {
+    i++
+  }
+  if (name && isName(nodes[i])) {
+    alias = ' AS ' + nodes[i].text
+    i++
+  }
+  if (!name || i !== nodes.length) {
+    fail(`RETURNING ${text(column).trim()}`, 'only columns can be returned')
+  }
+  return `${prefix}.${name}${alias}`
+}
+
+// Where OUTPUT goes in the statement, or -1 for the end
+function outputPosition(nodes, verb, command) {
+  const find = (from, ...words) =>
+    nodes.findIndex((node, index) => index > from && isWord(node, ...words))
+  if (verb === 'INSERT') {
+    const position = find(
+        command,
+        'VALUES',
+        'SELECT',
+        'DEFAULT',
+        'EXEC',
+        'EXECUTE'
+    )
+    if (position === -1) {
+      fail('RETURNING in an INSERT without VALUES or SELECT')
+    }
+    return position
+  }
+  if (verb === 'UPDATE') {
+    return find(find(command, 'SET'), 'FROM', 'WHERE')
+  }
+  let target = next(nodes, command)
+  if (isWord(nodes[target], 'FROM')) {
+    target = next(nodes, target)
+  }
+  if (find(target, 'USING') !== -1) {
+    fail('DELETE ... USING')
+  }
+  return find(target, 'FROM', 'WHERE')
+}
+
+module.exports = translate
@@ -0,0 +1,15 @@
+/**
+ * Wrap a table name, optionally qualified by the schema, each part being
+ * wrapped unless already delimited
+ * @param layer {MssqlCrLayer}
+ * @param table {string}
+ * @returns {string}
+ */
+function wrapTable(layer, table) {
+  return table
+      .match(/\[(?:[^\]]|\]\])*\]|[^.]+/g)
+      .map(part => (part[0] === '[' ? part : layer.wrap(part)))
+      .join('.')
+}
+
+module.exports = wrapTable